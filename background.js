@@ -1,18 +1,231 @@
-chrome.action.onClicked.addListener((tab) => {
-  console.log("Action clicked, executing scripts...");
-  if (tab.url.includes("http://isnss/main.aspx?cls=SVInfo")) {
+/**
+ * Background service worker of the ISNSS Extractor.
+ *
+ * Handles the keyboard shortcut that extracts the header on the active SVInfo page with the saved
+ * settings and copies it to the clipboard, the context menu entries copying a single party or
+ * decision, and the batch mode started from the popup (run in offscreen.html and downloaded here).
+ * The result is reported through the badge of the extension icon.
+ *
+ * Author: Oldřich Tristan Florian
+ * Website: https://otflorian.com
+ *
+ */
+
+importScripts("settings.js", "selectors.js");
+
+// How long the badge with the result of the shortcut stays visible (in milliseconds)
+const BADGE_DURATION = 5000;
+
+// Context menu entries copying the grid row under the mouse pointer (the target is handled by copyRow in content.js)
+const CONTEXT_MENU_ENTRIES = {
+  "copy-party": { target: "party", title: "Kopírovat účastníka z tohoto řádku" },
+  "copy-decision": { target: "decision", title: "Kopírovat rozhodnutí správního orgánu z tohoto řádku" }
+};
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    Object.entries(CONTEXT_MENU_ENTRIES).forEach(([id, entry]) => {
+      chrome.contextMenus.create({
+        id: id,
+        title: entry.title,
+        contexts: ["page", "link", "selection"],
+        documentUrlPatterns: ["http://isnss/main.aspx?cls=SVInfo*"]
+      });
+    });
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const entry = CONTEXT_MENU_ENTRIES[info.menuItemId];
+  if (!entry || !tab) return;
+
+  showBadge(tab.id, "working", "Čekejte...");
+  loadSavedExtractionMessage((message) => {
+    // The content script is already on the page (see content_scripts in manifest.json), it remembers the clicked row
+    chrome.tabs.sendMessage(tab.id, { ...message, action: "copyRow", target: entry.target }, { frameId: info.frameId }, (response) => {
+      reportResult(tab.id, response);
+    });
+  });
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action === "startBatch") {
+    startBatch(message, sendResponse);
+    return true; // Keeps the messaging channel open for sendResponse
+  }
+  if (message.action === "batchProgress") {
+    chrome.action.setTitle({ title: `Hromadné zpracování: ${message.done} z ${message.total} věcí` });
+  }
+  if (message.action === "batchDone") {
+    finishBatch(message);
+  }
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command !== "extract-header") return;
+
+  if (tab) {
+    extractWithSavedSettings(tab);
+  } else {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (tabs[0]) extractWithSavedSettings(tabs[0]);
+    });
+  }
+});
+
+/**
+ * Extract the header on the tab with the saved settings and copy it to the clipboard.
+ * @param {object} tab - The active tab.
+ */
+function extractWithSavedSettings(tab) {
+  if (!isSvInfoUrl(tab.url)) {
+    showBadge(tab.id, "error", "Zkratka funguje jen na stránce věci (SVInfo) v ISNSS.");
+    return;
+  }
+
+  showBadge(tab.id, "working", "Čekejte...");
+  loadSavedExtractionMessage((message) => {
     chrome.scripting.executeScript({
       target: { tabId: tab.id },
-      files: ["content.js"]
+      files: CONTENT_SCRIPT_FILES
     }, () => {
-      console.log("Scripts executed, sending message...");
-      chrome.tabs.sendMessage(tab.id, { action: "extractInfo" }, (response) => {
-        if (response && response.success) {
-          console.log("Text copied to clipboard:", response.text);
-        } else {
-          console.error("Error copying text:", response ? response.error : "No response from content script");
-        }
+      if (chrome.runtime.lastError) {
+        showBadge(tab.id, "error", `Chyba při kopírování textu: ${chrome.runtime.lastError.message}`);
+        return;
+      }
+      chrome.tabs.sendMessage(tab.id, message, (response) => {
+        reportResult(tab.id, response);
       });
     });
+  });
+}
+
+/**
+ * Report the response of the content script on the badge.
+ * @param {number} tabId - The ID of the tab.
+ * @param {object|undefined} response - The response of the content script.
+ */
+function reportResult(tabId, response) {
+  if (!response || !response.success) {
+    const errorMessage = response ? response.error : "No response from content script";
+    void chrome.runtime.lastError;
+    console.error("Error copying text:", errorMessage);
+    showBadge(tabId, "error", `Chyba při kopírování textu: ${errorMessage}`);
+    return;
   }
-});
+  const warnings = response.warnings || [];
+  if (warnings.length > 0) {
+    showBadge(tabId, "warning", `Text zkopírován do schránky. Zkontrolujte upozornění (${warnings.length}):\n${warnings.map(warning => warning.message).join("\n")}`);
+  } else {
+    showBadge(tabId, "success", "Text úspěšně zkopírován do schránky.");
+  }
+}
+
+/**
+ * Build the extractInfo message from the saved settings (see buildExtractionOptions in settings.js).
+ * @param {function} callback - Called with the message for the content script.
+ */
+function loadSavedExtractionMessage(callback) {
+  loadSettings((settings) => {
+    chrome.storage.sync.get({ headerTemplate: "", selectorProfile: "" }, (items) => {
+      callback({
+        action: "extractInfo",
+        ...buildExtractionOptions(settings, items.headerTemplate, items.selectorProfile),
+        copy: true
+      });
+    });
+  });
+}
+
+/**
+ * Start the batch mode in the offscreen document. Only one batch runs at a time.
+ * @param {object} message - The startBatch message of the popup (the options of the extraction, input, format and searchUrl).
+ * @param {function} sendResponse - Called when the batch has been started or could not be started.
+ */
+function startBatch(message, sendResponse) {
+  chrome.runtime.getContexts({ contextTypes: ["OFFSCREEN_DOCUMENT"] }).then((contexts) => {
+    if (contexts.length > 0) {
+      sendResponse({ success: false, error: "Hromadné zpracování již probíhá." });
+      return;
+    }
+    return chrome.offscreen.createDocument({
+      url: "offscreen.html",
+      reasons: ["DOM_PARSER"],
+      justification: "Načtení a zpracování stránek věcí z ISNSS při hromadném zpracování"
+    }).then(() => {
+      chrome.runtime.sendMessage({ ...message, action: "runBatch" });
+      showBadge(null, "working", "Hromadné zpracování...");
+      sendResponse({ success: true });
+    });
+  }).catch((err) => {
+    console.error("Error starting the batch:", err);
+    sendResponse({ success: false, error: err.message });
+  });
+}
+
+/**
+ * Download the output of the batch mode, report the result on the badge and close the offscreen document.
+ * @param {object} message - The batchDone message of the offscreen document (the result of extractBatch in content.js
+ *                           with the object URL and the name of the file, see offscreen.js).
+ */
+function finishBatch(message) {
+  if (!message.success) {
+    chrome.offscreen.closeDocument().catch(() => {});
+    console.error("Error extracting the batch:", message.error);
+    showBadge(null, "error", `Chyba při hromadném zpracování: ${message.error}`);
+    return;
+  }
+  chrome.downloads.download({ url: message.url, filename: message.fileName }).then((downloadId) => {
+    // The object URL belongs to the offscreen document, so the document is kept until the file is written
+    const onChanged = (delta) => {
+      if (delta.id !== downloadId || !delta.state || delta.state.current === "in_progress") return;
+      chrome.downloads.onChanged.removeListener(onChanged);
+      releaseBatchFile(message.url);
+    };
+    chrome.downloads.onChanged.addListener(onChanged);
+  }).catch((err) => {
+    console.error("Error downloading the batch:", err);
+    releaseBatchFile(message.url);
+  });
+  const { warning, error } = message.counts;
+  showBadge(null, error > 0 ? "error" : (warning > 0 ? "warning" : "success"), message.summary);
+}
+
+/**
+ * Release the file of the batch mode in the offscreen document and close the document.
+ * @param {string} url - The object URL of the file.
+ */
+function releaseBatchFile(url) {
+  chrome.runtime.sendMessage({ action: "releaseBatchFile", url: url })
+    .catch(() => {})
+    .finally(() => chrome.offscreen.closeDocument().catch(() => {}));
+}
+
+/**
+ * Show the state of the extraction on the badge of the extension icon and in its tooltip.
+ * The result is cleared after BADGE_DURATION.
+ * @param {number|null} tabId - The ID of the tab, null for all tabs (the batch mode).
+ * @param {string} state - "working", "success", "warning" or "error".
+ * @param {string} title - The tooltip describing the result.
+ */
+function showBadge(tabId, state, title) {
+  const badges = {
+    working: { text: "…", color: "#555" },
+    success: { text: "✓", color: "#4CAF50" },
+    warning: { text: "!", color: "#b36b00" },
+    error: { text: "✗", color: "red" }
+  };
+  const badge = badges[state];
+  const target = tabId === null ? {} : { tabId: tabId };
+  chrome.action.setBadgeText({ ...target, text: badge.text });
+  chrome.action.setBadgeBackgroundColor({ ...target, color: badge.color });
+  chrome.action.setTitle({ ...target, title: title });
+
+  if (state !== "working") {
+    setTimeout(() => {
+      // The tab may have been closed in the meantime
+      chrome.action.setBadgeText({ ...target, text: "" }, () => void chrome.runtime.lastError);
+      chrome.action.setTitle({ ...target, title: chrome.runtime.getManifest().name }, () => void chrome.runtime.lastError);
+    }, BADGE_DURATION);
+  }
+}
@@ -13,84 +13,532 @@ if (typeof inflectText === 'undefined') {
     var inflectText;
 }
 
+// Whether to embed the warnings into the formatted text (set from the popup settings)
+if (typeof inlineWarnings === 'undefined') {
+    var inlineWarnings;
+}
+
+// Parsed person pages (promises of the details) keyed by "cls:pId", kept until the page is reloaded or the cache is cleared
+if (typeof personPageCache === 'undefined') {
+    var personPageCache = new Map();
+}
+
+// Maximum number of simultaneous requests to ISNSS (set from the popup settings)
+if (typeof fetchConcurrency === 'undefined') {
+    var fetchConcurrency = 4;
+}
+
+// Number of running requests and the requests waiting for a free slot
+if (typeof fetchSlots === 'undefined') {
+    var fetchSlots = { active: 0, waiting: [] };
+}
+
+// Selectors of the ISNSS pages, the default profile merged with the user's overrides (see selectors.js)
+if (typeof selectorProfile === 'undefined') {
+    var selectorProfile = DEFAULT_SELECTOR_PROFILE;
+}
+
+// Wording of the nationality: "plain", "colon" or "citizen" (see formatNationality in states.js; set from the popup settings)
+if (typeof nationalityStyle === 'undefined') {
+    var nationalityStyle = 'plain';
+}
+
+// Date against which the ages of the parties are calculated: "today", "lowerCourt" (the latest challenged decision)
+// or "decision" (the date of the NSS decision entered in the popup, "YYYY-MM-DD"); set from the popup settings
+if (typeof ageReference === 'undefined') {
+    var ageReference = { type: 'today', decisionDate: '' };
+}
+
+// Number of months around the 18th birthday in which the age of a party is worth checking
+var AGE_WARNING_MONTHS = 3;
+
+// Version of the case model schema, to be raised with every incompatible change of the model
+var CASE_MODEL_SCHEMA_VERSION = 3;
+
+// The element on which the context menu was opened last (the row copied by the context menu entries)
+if (typeof contextMenuTarget === 'undefined') {
+    var contextMenuTarget = null;
+    document.addEventListener('contextmenu', (event) => {
+        contextMenuTarget = event.target;
+    }, true);
+}
+
+// ISNSS names of the roles of the parties by their group in the case model.
+// Cassation complaints keep the roles from the proceedings before the regional court,
+// the proceedings starting at NSS use the roles directly
+var PARTY_ROLES = {
+    plaintiffs: ['žalobce/navrhovatel 1.st', 'navrhovatel'],
+    defendants: ['žalovaný/odpůrce 1.st', 'odpůrce', 'kárně obviněný'],
+    complainants: ['stěžovatel'],
+    interestedParties: ['osoba zúčastněná']
+};
+
 /**
  * Main function to extract and format the court decision information.
  * @param {boolean} includeVRizeni - Whether to include "v řízení" in the formatted text.
  * @param {string} prefixFormat - The prefix format to use (e.g., "č. j." or "čj.").
  * @param {boolean} useNavrhovatel - Whether to use "navrhovatel" instead of "žalobce".
- * @returns {string} - The formatted court decision information.
+ * @param {string} headerTemplate - The user's header template for cassation complaints (the default template is used if empty).
+ * @returns {object} - The formatted court decision information (text) and the warnings of the extraction.
  */
-async function extractInformation(includeVRizeni, prefixFormat, useNavrhovatel) {
+async function extractInformation(includeVRizeni, prefixFormat, useNavrhovatel, headerTemplate) {
     try {
-        const courtDecision = extractCourtDecision();
-        const parties = await extractAllParties();
-        const defendantDecisions = extractDefendantDecisions();
-        const formattedText = formatInformation(courtDecision, parties, defendantDecisions, includeVRizeni, prefixFormat, useNavrhovatel);
+        const model = await extractCaseModel();
+        const formattedText = formatCaseModel(model, includeVRizeni, prefixFormat, useNavrhovatel, headerTemplate);
 
         console.log("Formatted text:", formattedText);
-        return formattedText;
+        return { text: formattedText, warnings: model.warnings };
     } catch (err) {
         console.error("Error extracting information:", err);
         throw err;
     }
 }
 
+/**
+ * Format the header of a case from its model.
+ * @param {object} model - The case model (see extractCaseModel).
+ * @param {boolean} includeVRizeni - Whether to include "v řízení" in the formatted text.
+ * @param {string} prefixFormat - The prefix format to use (e.g., "č. j." or "čj.").
+ * @param {boolean} useNavrhovatel - Whether to use "navrhovatel" instead of "žalobce".
+ * @param {string} headerTemplate - The user's header template for cassation complaints.
+ * @returns {string} - The formatted header with bold marks.
+ */
+function formatCaseModel(model, includeVRizeni, prefixFormat, useNavrhovatel, headerTemplate) {
+    return formatInformation(model.courtDecisions, model.parties, model.defendantDecisions, includeVRizeni, prefixFormat, useNavrhovatel, model.isMeasureOfGeneralNature, model.caseNumber, headerTemplate);
+}
+
+/**
+ * Extract the full model of the case (see "Export JSON" in README for the schema).
+ * @param {Document} doc - The SVInfo page (the open page or a page fetched in the batch mode).
+ * @param {string} sourceUrl - The URL of the SVInfo page.
+ * @returns {object} - The case model.
+ */
+async function extractCaseModel(doc = document, sourceUrl = document.location.href) {
+    const warnings = [];
+    const caseNumber = extractCaseNumber(doc);
+    const agenda = getAgenda(caseNumber);
+    const agendaType = getAgendaType(agenda);
+    if (!agenda) {
+        addWarning(warnings, 'warning', 'Spisovou značku NSS se nepodařilo zjistit, záhlaví je sestaveno jako u kasační stížnosti', { source: 'lblSpisovaZnacka' });
+    } else if (agendaType === 'unknown') {
+        addWarning(warnings, 'error', `Agendu „${agenda}“ extraktor nezná, záhlaví obsahuje jen účastníky a předmět řízení je třeba doplnit`, { source: caseNumber });
+    }
+    // Only cassation complaints challenge a decision of a lower court
+    const courtDecisions = agendaType === 'cassation' ? extractCourtDecisions(doc, warnings) : [];
+    const parties = await extractAllParties(doc, warnings);
+    const defendantDecisions = extractDefendantDecisions(doc, warnings);
+    const ageReferenceDate = getAgeReferenceDate(courtDecisions, warnings);
+    Object.values(parties).forEach(group => group.forEach(person => applyAge(person, ageReferenceDate, warnings)));
+    return {
+        schemaVersion: CASE_MODEL_SCHEMA_VERSION,
+        generatedAt: new Date().toISOString(),
+        sourceUrl,
+        caseNumber,
+        agenda,
+        agendaType,
+        isMeasureOfGeneralNature: isMeasureOfGeneralNatureCase(caseNumber, defendantDecisions),
+        ageReferenceDate: formatIsoDate(ageReferenceDate),
+        courtDecisions,
+        parties,
+        defendantDecisions,
+        warnings
+    };
+}
+
+/**
+ * Extract and format the grid row on which the context menu was opened.
+ * @param {string} target - "party" (a row of the parties grid) or "decision" (a row of the authority decisions grid).
+ * @param {string} prefixFormat - The prefix format to use (e.g., "č. j." or "čj.").
+ * @returns {object} - The formatted text of the party or of the decision and the warnings of the extraction.
+ */
+async function extractContextMenuRow(target, prefixFormat) {
+    const warnings = [];
+    if (target === 'party') {
+        const row = findGridRow('parties', contextMenuTarget);
+        if (!row) {
+            throw new Error('Klikněte pravým tlačítkem na řádek v tabulce účastníků');
+        }
+        const person = await extractPersonDetails(row, warnings);
+        if (!person) {
+            throw new Error('Účastník nemá v ISNSS odkaz na detail osoby');
+        }
+        // The lower court decisions are needed only for the age at their date
+        const courtDecisions = ageReference.type === 'lowerCourt' ? extractCourtDecisions(document, warnings) : [];
+        applyAge(person, getAgeReferenceDate(courtDecisions, warnings), warnings);
+        return { text: formatPersonText(person), warnings };
+    }
+    if (target === 'decision') {
+        const row = findGridRow('defendantDecisions', contextMenuTarget);
+        if (!row) {
+            throw new Error('Klikněte pravým tlačítkem na řádek v tabulce rozhodnutí správních orgánů');
+        }
+        const decisions = [extractDefendantDecision(row, warnings)];
+        const defendants = await extractPersons(PARTY_ROLES.defendants, document, warnings);
+        const text = isMeasureOfGeneralNatureCase(extractCaseNumber(), decisions)
+            ? formatMeasuresOfGeneralNature(decisions, defendants, prefixFormat)
+            : formatDefendantDecisions(decisions, defendants, prefixFormat);
+        return { text, warnings };
+    }
+    throw new Error(`Unknown context menu target: ${target}`);
+}
+
+/**
+ * Split the input of the batch mode into the cases (one per line, or separated by commas or semicolons).
+ * @param {string} input - The pIds, SVInfo URLs or NSS file numbers.
+ * @returns {array} - The trimmed non-empty entries.
+ */
+function parseBatchInput(input) {
+    return (input || '').split(/[\r\n;,]+/).map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Extract the cases of the batch mode one after another (in the offscreen document, see offscreen.js).
+ * The progress is reported to the popup and to the background script by the "batchProgress" message.
+ * Every case has its own warnings in its model.
+ * @param {array} entries - The pIds, SVInfo URLs or NSS file numbers.
+ * @param {object} options - includeVRizeni, prefixFormat, useNavrhovatel and headerTemplate as in extractInformation
+ *                           and searchUrl, the ISNSS search for a file number with the {{caseNumber}} placeholder.
+ * @returns {array} - The result of every case: input, pId, caseNumber, status ("ok", "warning" or "error"),
+ *                    text (plain), error and model.
+ */
+async function extractBatch(entries, options) {
+    const results = [];
+    for (const [index, entry] of entries.entries()) {
+        results.push(await extractBatchCase(entry, options));
+        chrome.runtime.sendMessage({ action: 'batchProgress', done: index + 1, total: entries.length }, () => void chrome.runtime.lastError);
+    }
+    return results;
+}
+
+/**
+ * Fetch and extract one case of the batch mode. Errors are recorded in the result, so that one case does not stop the batch.
+ * @param {string} entry - The pId, SVInfo URL or NSS file number.
+ * @param {object} options - The options of the batch (see extractBatch).
+ * @returns {object} - The result of the case.
+ */
+async function extractBatchCase(entry, options) {
+    const result = { input: entry, pId: '', caseNumber: '', status: 'error', text: '', error: '', model: null };
+    try {
+        result.pId = await findCasePId(entry, options.searchUrl);
+        const url = `http://isnss/main.aspx?cls=SVInfo&pId=${result.pId}`;
+        const doc = await fetchDocument(url);
+        if (!doc.querySelector(selectorProfile.caseNumber)) {
+            throw new Error(`Stránka věci s pId ${result.pId} nebyla v ISNSS nalezena`);
+        }
+        const model = await extractCaseModel(doc, url);
+        const info = formatCaseModel(model, options.includeVRizeni, options.prefixFormat, options.useNavrhovatel, options.headerTemplate);
+        result.caseNumber = model.caseNumber;
+        result.text = toPlainText(info);
+        result.model = model;
+        result.status = model.warnings.length > 0 ? 'warning' : 'ok';
+    } catch (err) {
+        console.error(`Error extracting the case ${entry}:`, err);
+        result.error = err.message;
+    }
+    return result;
+}
+
+/**
+ * Find the pId of the SVInfo page of a case.
+ * @param {string} entry - The pId, SVInfo URL or NSS file number.
+ * @param {string} searchUrl - The ISNSS search for a file number with the {{caseNumber}} placeholder (may be empty).
+ * @returns {string} - The pId.
+ */
+async function findCasePId(entry, searchUrl) {
+    const pIdMatch = entry.match(/^(\d+)$/) || entry.match(/[?&]pId=(\d+)/i);
+    if (pIdMatch) {
+        return pIdMatch[1];
+    }
+    if (!getAgenda(entry)) {
+        throw new Error(`„${entry}“ není pId ani spisová značka`);
+    }
+    if (!searchUrl) {
+        throw new Error('Pro vyhledání podle spisové značky není nastavena adresa vyhledávání v ISNSS');
+    }
+    // The batch runs outside of the ISNSS page, so a relative address is resolved against ISNSS
+    const doc = await fetchDocument(new URL(searchUrl.replace('{{caseNumber}}', encodeURIComponent(entry)), 'http://isnss/').href);
+    const normalize = (text) => text.replace(/\s+/g, ' ').trim();
+    const links = Array.from(doc.querySelectorAll('a[href*="cls=SVInfo"]')).map(link => ({
+        text: normalize(link.innerText),
+        pId: new URLSearchParams(link.getAttribute('href').split('?')[1]).get('pId')
+    })).filter(link => link.pId);
+    // Prefer the links labelled with the file number, the search may list related cases as well
+    const matching = links.filter(link => link.text === normalize(entry));
+    const pIds = [...new Set((matching.length > 0 ? matching : links).map(link => link.pId))];
+    if (pIds.length === 0) {
+        throw new Error(`Věc ${entry} nebyla v ISNSS nalezena`);
+    }
+    if (pIds.length > 1) {
+        throw new Error(`Spisové značce ${entry} odpovídá v ISNSS více věcí (pId ${pIds.join(', ')})`);
+    }
+    return pIds[0];
+}
+
+// Labels of the states of the cases in the batch output
+var BATCH_STATUS_LABELS = {
+    ok: 'v pořádku',
+    warning: 's upozorněními',
+    error: 'chyba'
+};
+
+/**
+ * Combine the results of the batch mode into one output.
+ * @param {array} results - The results of the cases (see extractBatch).
+ * @param {string} format - "text", "csv" (separated by semicolons) or "json".
+ * @returns {string} - The combined output.
+ */
+function formatBatchOutput(results, format) {
+    if (format === 'json') {
+        return JSON.stringify({
+            schemaVersion: CASE_MODEL_SCHEMA_VERSION,
+            generatedAt: new Date().toISOString(),
+            cases: results
+        }, null, 2);
+    }
+    const warningsOf = (result) => result.model ? result.model.warnings.map(warning => warning.message) : [];
+    if (format === 'csv') {
+        const quote = (value) => /[";\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        const rows = results.map((result, index) => [
+            String(index + 1), result.input, result.pId, result.caseNumber, BATCH_STATUS_LABELS[result.status],
+            result.text, warningsOf(result).join('; '), result.error
+        ]);
+        return [['Pořadí', 'Vstup', 'pId', 'Spisová značka', 'Stav', 'Záhlaví', 'Upozornění', 'Chyba'], ...rows]
+            .map(row => row.map(quote).join(';'))
+            .join('\r\n');
+    }
+    return results.map((result, index) => {
+        const name = result.caseNumber || result.input;
+        const lines = [`${index + 1}. ${name}${result.pId ? ` (pId ${result.pId})` : ''} – ${BATCH_STATUS_LABELS[result.status]}`];
+        if (result.error) {
+            lines.push(`Chyba: ${result.error}`);
+        } else {
+            lines.push(result.text);
+        }
+        warningsOf(result).forEach(message => lines.push(`Upozornění: ${message}`));
+        return lines.join('\n');
+    }).join('\n\n');
+}
+
+/**
+ * Summarize the states of the cases of the batch mode.
+ * @param {object} counts - The number of cases by their state (ok, warning, error).
+ * @returns {string} - The summary shown in the popup and on the badge.
+ */
+function formatBatchSummary(counts) {
+    const { ok, warning, error } = counts;
+    return `Zpracováno ${ok + warning + error} věcí: ${ok} v pořádku, ${warning} s upozorněními, ${error} s chybou.`;
+}
+
 /**
  * Extract all parties involved in the court case.
+ * @param {Document} doc - The SVInfo page.
+ * @param {array} warnings - The warnings of the extraction (see addWarning).
  * @returns {object} - An object containing arrays of plaintiffs, defendants, complainants, and interested parties.
  */
-async function extractAllParties() {
-    const plaintiffs = await extractPersons('žalobce/navrhovatel 1.st');
-    const defendants = await extractPersons('žalovaný/odpůrce 1.st');
-    const complainants = await extractPersons('stěžovatel');
-    const interestedParties = await extractPersons('osoba zúčastněná');
+async function extractAllParties(doc, warnings) {
+    const [plaintiffs, defendants, complainants, interestedParties] = await Promise.all([
+        extractPersons(PARTY_ROLES.plaintiffs, doc, warnings),
+        extractPersons(PARTY_ROLES.defendants, doc, warnings),
+        extractPersons(PARTY_ROLES.complainants, doc, warnings),
+        extractPersons(PARTY_ROLES.interestedParties, doc, warnings)
+    ]);
     return { plaintiffs, defendants, complainants, interestedParties };
 }
 
+/**
+ * Record a problem found during the extraction.
+ * @param {array} warnings - The warnings of the extraction, the warning is added to them.
+ * @param {string} severity - The severity of the problem ("error", "warning" or "info").
+ * @param {string} message - The description of the problem.
+ * @param {object} context - The party or decision concerned and the ISNSS source row (all optional).
+ * @returns {string} - The message, so that it can be kept for formatInlineWarning.
+ */
+function addWarning(warnings, severity, message, context = {}) {
+    const warning = {
+        severity,
+        message,
+        party: context.party || null,
+        decision: context.decision || null,
+        source: context.source || null
+    };
+    // The same person may be extracted for several roles (e.g. plaintiff and complainant)
+    const isDuplicate = warnings.some(w => Object.keys(warning).every(key => w[key] === warning[key]));
+    if (!isDuplicate) {
+        warnings.push(warning);
+    }
+    return message;
+}
+
+/**
+ * Format a warning for embedding into the text, if the user opted in.
+ * @param {string} message - The warning message.
+ * @returns {string} - The inline warning (e.g. " !!! … !!!") or an empty string.
+ */
+function formatInlineWarning(message) {
+    return inlineWarnings && message ? ` !!! ${message.toUpperCase()} !!!` : '';
+}
+
+/**
+ * Describe an ISNSS grid row for the warnings.
+ * @param {object} row - The row element.
+ * @returns {string} - The text of the row.
+ */
+function describeRow(row) {
+    if (!row) return '';
+    return Array.from(row.querySelectorAll('td')).map(cell => cell.innerText.trim().replace(/\s+/g, ' ')).join(' | ');
+}
+
+/**
+ * Describe a person for the warnings.
+ * @param {object} person - The person details.
+ * @returns {string} - The name of the person.
+ */
+function describePerson(person) {
+    const name = person.finalType === 'physical' ? `${person.firstName} ${person.lastName}` : person.name;
+    return `${person.label ? `${person.label} ` : ''}${name || ''}`.trim();
+}
+
 /**
  * Format the extracted information into a readable text format.
- * @param {object} courtDecision - The court decision details.
+ * @param {array} courtDecisions - The challenged court decisions.
  * @param {object} parties - The parties involved in the court case.
  * @param {array} defendantDecisions - The decisions made by the defendants.
  * @param {boolean} includeVRizeni - Whether to include "v řízení" in the formatted text.
  * @param {string} prefixFormat - The prefix format to use (e.g., "č. j." or "čj.").
  * @param {boolean} useNavrhovatel - Whether to use "navrhovatel" instead of "žalobce".
+ * @param {boolean} isMeasureOfGeneralNature - Whether the case concerns a petition to annul a measure of general nature.
+ * @param {string} caseNumber - The NSS file number.
+ * @param {string} headerTemplate - The user's header template for cassation complaints (the default template is used if empty).
  * @returns {string} - The formatted court decision information.
  */
-function formatInformation(courtDecision, parties, defendantDecisions, includeVRizeni, prefixFormat, useNavrhovatel) {
-    let formattedText = `v právní věci `;
+function formatInformation(courtDecisions, parties, defendantDecisions, includeVRizeni, prefixFormat, useNavrhovatel, isMeasureOfGeneralNature = false, caseNumber = '', headerTemplate = '') {
+    // Petitions to annul a measure of general nature always have a petitioner and a respondent
+    useNavrhovatel = useNavrhovatel || isMeasureOfGeneralNature;
 
-    const plaintiffRole = useNavrhovatel ? 'navrhovatelů' : 'žalobců';
-    const defendantRole = useNavrhovatel ? 'odpůrcům' : 'žalovaným';
-    const singularPlaintiffRole = useNavrhovatel ? 'navrhovatele' : 'žalobce';
-    const singularDefendantRole = useNavrhovatel ? 'odpůrci' : 'žalovanému';
+    const agendaType = getAgendaType(getAgenda(caseNumber));
+    const header = agendaType === 'cassation' ? {
+        template: headerTemplate || DEFAULT_HEADER_TEMPLATE,
+        plaintiffs: { role: useNavrhovatel ? 'petitioner' : 'plaintiff', labelCase: 2, nameCase: 1 },
+        defendants: { role: useNavrhovatel ? 'respondent' : 'defendant', labelCase: 3, nameCase: 3 }
+    } : AGENDA_HEADERS[agendaType];
 
-    formattedText += formatParties(parties.plaintiffs, plaintiffRole, singularPlaintiffRole);
-    formattedText += `, proti ${formatParties(parties.defendants, defendantRole, singularDefendantRole)}`;
+    const plaintiffRole = getRoleLabel(header.plaintiffs.role, header.plaintiffs.labelCase, parties.plaintiffs);
+    const defendantRole = getRoleLabel(header.defendants.role, header.defendants.labelCase, parties.defendants);
 
+    let interestedParties = '';
     if (parties.interestedParties.length > 0) {
-        formattedText += `, za účasti ${parties.interestedParties.length > 1 ? 'osob zúčastněných na řízení' : 'osoby zúčastněné na řízení'}: `;
-        formattedText += formatInterestedParties(parties.interestedParties);
+        interestedParties = `${getRoleLabel('interestedParty', 2, parties.interestedParties)}: ${formatInterestedParties(parties.interestedParties)}`;
     }
 
-    formattedText += formatDefendantDecisions(defendantDecisions, parties.defendants, prefixFormat);
-    let complainantRole = getComplainantRole(parties.complainants, parties.plaintiffs, parties.defendants, parties.interestedParties, useNavrhovatel);
-    complainantRole = complainantRole.trim();
+    let formattedDefendantDecisions = '';
+    if (defendantDecisions.length > 0) {
+        formattedDefendantDecisions = isMeasureOfGeneralNature
+            ? formatMeasuresOfGeneralNature(defendantDecisions, parties.defendants, prefixFormat)
+            : formatDefendantDecisions(defendantDecisions, parties.defendants, prefixFormat);
+    }
 
-    formattedText += `${includeVRizeni ? ' v řízení' : ''} o kasační stížnosti ${complainantRole} proti ${courtDecision.lowerCourtDecisionForm} ${courtDecision.lowerCourtName} ze dne ${courtDecision.lowerCourtDecisionDate}, ${prefixFormat} ${courtDecision.lowerCourtDecisionRef},`;
+    const context = {
+        caseNumber,
+        plaintiffs: formatParties(parties.plaintiffs, plaintiffRole, header.plaintiffs.nameCase),
+        defendants: formatParties(parties.defendants, defendantRole, header.defendants.nameCase),
+        interestedParties,
+        defendantDecisions: formattedDefendantDecisions,
+        complainants: getComplainantRole(parties.complainants, parties.plaintiffs, parties.defendants, parties.interestedParties, useNavrhovatel).trim(),
+        lowerCourtDecision: formatCourtDecisions(courtDecisions, prefixFormat),
+        vRizeni: includeVRizeni
+    };
 
-    return formattedText;
+    return renderTemplate(header.template, context);
 }
 
 /**
  * Format the parties information.
  * @param {array} parties - The parties involved in the court case.
- * @param {string} pluralRole - The role of the parties in plural form.
- * @param {string} singularRole - The role of the parties in singular form.
+ * @param {string} role - The role of the parties (already in the right number and gender).
+ * @param {number} grammaticalCase - The grammatical case required by the role (institutions are declined accordingly).
  * @returns {string} - The formatted parties information.
  */
-function formatParties(parties, pluralRole, singularRole) {
-    return parties.length > 1 ? formatMultipleParties(parties, pluralRole) : formatSingleParty(parties[0], singularRole);
+function formatParties(parties, role, grammaticalCase = 1) {
+    return parties.length > 1 ? formatMultipleParties(parties, role, grammaticalCase) : formatSingleParty(parties[0], role, grammaticalCase);
+}
+
+/**
+ * Get the label of a procedural role agreeing in gender and number with the parties.
+ * Groups are feminine only if all of their members are women, mixed groups use the masculine plural.
+ * @param {string} role - The role key ("plaintiff", "petitioner", "defendant", "respondent", "accused", "complainant" or "interestedParty").
+ * @param {number} grammaticalCase - The grammatical case (1-7, e.g. 2 = genitive, 3 = dative, 7 = instrumental).
+ * @param {array} parties - The parties holding the role.
+ * @returns {string} - The role label (e.g. "žalobkyně" or "žalovaným").
+ */
+function getRoleLabel(role, grammaticalCase, parties) {
+    const labels = {
+        plaintiff: {
+            m: ['žalobce', 'žalobce', 'žalobci', 'žalobce', 'žalobce', 'žalobci', 'žalobcem'],
+            f: ['žalobkyně', 'žalobkyně', 'žalobkyni', 'žalobkyni', 'žalobkyně', 'žalobkyni', 'žalobkyní'],
+            mp: ['žalobci', 'žalobců', 'žalobcům', 'žalobce', 'žalobci', 'žalobcích', 'žalobci'],
+            fp: ['žalobkyně', 'žalobkyň', 'žalobkyním', 'žalobkyně', 'žalobkyně', 'žalobkyních', 'žalobkyněmi']
+        },
+        petitioner: {
+            m: ['navrhovatel', 'navrhovatele', 'navrhovateli', 'navrhovatele', 'navrhovateli', 'navrhovateli', 'navrhovatelem'],
+            f: ['navrhovatelka', 'navrhovatelky', 'navrhovatelce', 'navrhovatelku', 'navrhovatelko', 'navrhovatelce', 'navrhovatelkou'],
+            mp: ['navrhovatelé', 'navrhovatelů', 'navrhovatelům', 'navrhovatele', 'navrhovatelé', 'navrhovatelích', 'navrhovateli'],
+            fp: ['navrhovatelky', 'navrhovatelek', 'navrhovatelkám', 'navrhovatelky', 'navrhovatelky', 'navrhovatelkách', 'navrhovatelkami']
+        },
+        defendant: {
+            m: ['žalovaný', 'žalovaného', 'žalovanému', 'žalovaného', 'žalovaný', 'žalovaném', 'žalovaným'],
+            f: ['žalovaná', 'žalované', 'žalované', 'žalovanou', 'žalovaná', 'žalované', 'žalovanou'],
+            mp: ['žalovaní', 'žalovaných', 'žalovaným', 'žalované', 'žalovaní', 'žalovaných', 'žalovanými'],
+            fp: ['žalované', 'žalovaných', 'žalovaným', 'žalované', 'žalované', 'žalovaných', 'žalovanými']
+        },
+        respondent: {
+            m: ['odpůrce', 'odpůrce', 'odpůrci', 'odpůrce', 'odpůrce', 'odpůrci', 'odpůrcem'],
+            f: ['odpůrkyně', 'odpůrkyně', 'odpůrkyni', 'odpůrkyni', 'odpůrkyně', 'odpůrkyni', 'odpůrkyní'],
+            mp: ['odpůrci', 'odpůrců', 'odpůrcům', 'odpůrce', 'odpůrci', 'odpůrcích', 'odpůrci'],
+            fp: ['odpůrkyně', 'odpůrkyň', 'odpůrkyním', 'odpůrkyně', 'odpůrkyně', 'odpůrkyních', 'odpůrkyněmi']
+        },
+        accused: {
+            m: ['kárně obviněný', 'kárně obviněného', 'kárně obviněnému', 'kárně obviněného', 'kárně obviněný', 'kárně obviněném', 'kárně obviněným'],
+            f: ['kárně obviněná', 'kárně obviněné', 'kárně obviněné', 'kárně obviněnou', 'kárně obviněná', 'kárně obviněné', 'kárně obviněnou'],
+            mp: ['kárně obvinění', 'kárně obviněných', 'kárně obviněným', 'kárně obviněné', 'kárně obvinění', 'kárně obviněných', 'kárně obviněnými'],
+            fp: ['kárně obviněné', 'kárně obviněných', 'kárně obviněným', 'kárně obviněné', 'kárně obviněné', 'kárně obviněných', 'kárně obviněnými']
+        },
+        complainant: {
+            m: ['stěžovatel', 'stěžovatele', 'stěžovateli', 'stěžovatele', 'stěžovateli', 'stěžovateli', 'stěžovatelem'],
+            f: ['stěžovatelka', 'stěžovatelky', 'stěžovatelce', 'stěžovatelku', 'stěžovatelko', 'stěžovatelce', 'stěžovatelkou'],
+            mp: ['stěžovatelé', 'stěžovatelů', 'stěžovatelům', 'stěžovatele', 'stěžovatelé', 'stěžovatelích', 'stěžovateli'],
+            fp: ['stěžovatelky', 'stěžovatelek', 'stěžovatelkám', 'stěžovatelky', 'stěžovatelky', 'stěžovatelkách', 'stěžovatelkami']
+        },
+        interestedParty: {
+            m: ['osoba zúčastněná na řízení', 'osoby zúčastněné na řízení', 'osobě zúčastněné na řízení', 'osobu zúčastněnou na řízení', 'osobo zúčastněná na řízení', 'osobě zúčastněné na řízení', 'osobou zúčastněnou na řízení'],
+            f: ['osoba zúčastněná na řízení', 'osoby zúčastněné na řízení', 'osobě zúčastněné na řízení', 'osobu zúčastněnou na řízení', 'osobo zúčastněná na řízení', 'osobě zúčastněné na řízení', 'osobou zúčastněnou na řízení'],
+            mp: ['osoby zúčastněné na řízení', 'osob zúčastněných na řízení', 'osobám zúčastněným na řízení', 'osoby zúčastněné na řízení', 'osoby zúčastněné na řízení', 'osobách zúčastněných na řízení', 'osobami zúčastněnými na řízení'],
+            fp: ['osoby zúčastněné na řízení', 'osob zúčastněných na řízení', 'osobám zúčastněným na řízení', 'osoby zúčastněné na řízení', 'osoby zúčastněné na řízení', 'osobách zúčastněných na řízení', 'osobami zúčastněnými na řízení']
+        }
+    };
+    const form = `${getGroupGender(parties)}${parties.length > 1 ? 'p' : ''}`;
+    return labels[role][form][grammaticalCase - 1];
+}
+
+/**
+ * Get the grammatical gender of a group of parties.
+ * @param {array} parties - The parties.
+ * @returns {string} - 'f' if all parties are women, 'm' otherwise.
+ */
+function getGroupGender(parties) {
+    return parties.length > 0 && parties.every(p => p.finalType === 'physical' && p.gender === 'f') ? 'f' : 'm';
+}
+
+/**
+ * Get the word for "both" or "all" agreeing with the gender of the parties.
+ * @param {array} parties - The parties.
+ * @returns {string} - "oba", "obě", "všichni" or "všechny".
+ */
+function formatAllOf(parties) {
+    const isFemale = getGroupGender(parties) === 'f';
+    if (parties.length === 2) {
+        return isFemale ? 'obě' : 'oba';
+    }
+    return isFemale ? 'všechny' : 'všichni';
 }
 
 /**
@@ -117,18 +565,60 @@ function formatDefendantDecisions(defendantDecisions, defendants, prefixFormat)
         const decision = defendantDecisions[0];
         const caseNumberPart = decision.caseNumber !== "nevyplněno" ? `sp. zn. ${decision.caseNumber}, ` : "";
         const defendant = defendants.find(d => d.name === decision.defendant);
+        const defendantRole = getRoleLabel('defendant', 2, [defendant || defendants[0]].filter(Boolean));
         if (decision.ref.includes("zásah")) {
-            return `, o žalobě na ochranu před nezákonným zásahem žalovaného${defendants.length > 1 ? ` ${defendant.label}` : ''},`;
+            return `o žalobě na ochranu před nezákonným zásahem ${defendantRole}${defendants.length > 1 ? ` ${defendant.label}` : ''}`;
         } else if (decision.ref.includes("nečin")) {
-            return `, ve věci ochrany proti nečinnosti žalovaného${defendants.length > 1 ? ` ${defendant.label}` : ''},`;
+            return `ve věci ochrany proti nečinnosti ${defendantRole}${defendants.length > 1 ? ` ${defendant.label}` : ''}`;
         } else {
-            return `, proti rozhodnutí žalovaného${defendants.length > 1 ? ` ${defendant.label}` : ''} ze dne ${decision.date}, ${caseNumberPart}${prefixFormat} ${decision.ref},`;
+            return `proti rozhodnutí ${defendantRole}${defendants.length > 1 ? ` ${defendant.label}` : ''} ze dne ${decision.date}, ${caseNumberPart}${prefixFormat} ${decision.ref}`;
         }
     } else {
         return formatMultipleDefendantDecisions(defendantDecisions, defendants, prefixFormat);
     }
 }
 
+/**
+ * Format the challenged measures of general nature.
+ * @param {array} defendantDecisions - The measures issued by the respondents.
+ * @param {array} defendants - The respondents involved in the court case.
+ * @param {string} prefixFormat - The prefix format to use (e.g., "č. j." or "čj.").
+ * @returns {string} - The formatted measures of general nature information.
+ */
+function formatMeasuresOfGeneralNature(defendantDecisions, defendants, prefixFormat) {
+    const issuers = defendants.filter(d => defendantDecisions.some(decision => decision.defendant === d.name));
+    const respondentRole = getRoleLabel('respondent', 2, issuers.length > 0 ? issuers : defendants.slice(0, 1));
+    const measures = defendantDecisions.map((decision, index, array) => {
+        const caseNumberPart = decision.caseNumber !== "nevyplněno" ? `sp. zn. ${decision.caseNumber}, ` : "";
+        const name = getMeasureName(decision);
+        const measure = `${name ? `„${name}“ ` : ''}ze dne ${decision.date}, ${caseNumberPart}${prefixFormat} ${decision.ref}`;
+        return index === array.length - 1 && array.length > 1 ? `a ${measure}` : measure;
+    }).join(', ');
+    return `o návrhu na zrušení opatření obecné povahy ${respondentRole} ${measures}`;
+}
+
+/**
+ * Get the name of a measure of general nature from the decision row (e.g. "Územní plán obce Lhota").
+ * @param {object} decision - The decision details.
+ * @returns {string} - The name of the measure or an empty string if ISNSS contains only its type.
+ */
+function getMeasureName(decision) {
+    return (decision.form || '').replace(/^opatření obecné povahy\s*[-–:,]?\s*/i, '').trim();
+}
+
+/**
+ * Determine whether the case concerns a petition to annul a measure of general nature.
+ * @param {string} caseNumber - The NSS file number (e.g. "1 Aos 2/2024").
+ * @param {array} defendantDecisions - The decisions made by the defendants.
+ * @returns {boolean} - Whether the case concerns a measure of general nature.
+ */
+function isMeasureOfGeneralNatureCase(caseNumber, defendantDecisions) {
+    if (['Ao', 'Aos'].includes(getAgenda(caseNumber))) {
+        return true;
+    }
+    return defendantDecisions.some(decision => /opatření obecné povahy|\bOOP\b/i.test(`${decision.ref} ${decision.form}`));
+}
+
 /**
  * Determine the role of the complainant(s) in the formatted text.
  * @param {array} complainants - The complainants involved in the court case.
@@ -139,31 +629,28 @@ function formatDefendantDecisions(defendantDecisions, defendants, prefixFormat)
  * @returns {string} - The role of the complainant(s) in the formatted text.
  */
 function getComplainantRole(complainants, plaintiffs, defendants, interestedParties, useNavrhovatel) {
-    const complainantNames = complainants.map(c => c.name);
-    const plaintiffComplainants = plaintiffs.filter(p => complainantNames.includes(p.name));
-    const defendantComplainants = defendants.filter(d => complainantNames.includes(d.name));
-    const interestedPartyComplainants = interestedParties.filter(i => complainantNames.includes(i.name));
+    // Physical persons have no name, so the complainants are matched by their ISNSS person ID
+    const complainantIds = complainants.map(c => c.pId);
+    const plaintiffComplainants = plaintiffs.filter(p => complainantIds.includes(p.pId));
+    const defendantComplainants = defendants.filter(d => complainantIds.includes(d.pId));
+    const interestedPartyComplainants = interestedParties.filter(i => complainantIds.includes(i.pId));
 
-    const formatComplainants = (complainants, totalParties, singularForm, pluralForm) => {
+    const formatComplainants = (complainants, totalParties, role) => {
         if (complainants.length === 0) return '';
-        if (complainants.length === 1) return `${singularForm} ${complainants[0].label || ''}`.trim();
-        if (complainants.length === totalParties) return `${pluralForm}`;
-        return `${pluralForm} ${complainants.map(c => c.label || '').filter(Boolean).join(', ')}`.trim();
+        const roleLabel = getRoleLabel(role, 2, complainants);
+        if (complainants.length === 1) return `${roleLabel} ${complainants[0].label || ''}`.trim();
+        if (complainants.length === totalParties) return `${roleLabel}`;
+        return `${roleLabel} ${complainants.map(c => c.label || '').filter(Boolean).join(', ')}`.trim();
     };
 
-    const singularPlaintiffRole = useNavrhovatel ? 'navrhovatele' : 'žalobce';
-    const pluralPlaintiffRole = useNavrhovatel ? 'navrhovatelů' : 'žalobců';
-    const singularDefendantRole = useNavrhovatel ? 'odpůrce' : 'žalovaného';
-    const pluralDefendantRole = useNavrhovatel ? 'odpůrců' : 'žalovaných';
-
     let complainantRole = '';
 
     if (plaintiffComplainants.length > 0) {
-        complainantRole = formatComplainants(plaintiffComplainants, plaintiffs.length, singularPlaintiffRole, pluralPlaintiffRole);
+        complainantRole = formatComplainants(plaintiffComplainants, plaintiffs.length, useNavrhovatel ? 'petitioner' : 'plaintiff');
     } else if (defendantComplainants.length > 0) {
-        complainantRole = formatComplainants(defendantComplainants, defendants.length, singularDefendantRole, pluralDefendantRole);
+        complainantRole = formatComplainants(defendantComplainants, defendants.length, useNavrhovatel ? 'respondent' : 'defendant');
     } else if (interestedPartyComplainants.length > 0) {
-        complainantRole = formatComplainants(interestedPartyComplainants, interestedParties.length, 'osoby zúčastněné na řízení', 'osob zúčastněných na řízení');
+        complainantRole = formatComplainants(interestedPartyComplainants, interestedParties.length, 'interestedParty');
     }
 
     return complainantRole.trim();
@@ -173,18 +660,19 @@ function getComplainantRole(complainants, plaintiffs, defendants, interestedPart
  * Format multiple parties information.
  * @param {array} parties - The parties involved in the court case.
  * @param {string} role - The role of the parties.
+ * @param {number} grammaticalCase - The grammatical case of the names of institutions.
  * @returns {string} - The formatted parties information.
  */
-function formatMultipleParties(parties, role) {
+function formatMultipleParties(parties, role, grammaticalCase = 1) {
     const commonAttributes = getCommonAttributes(parties);
     let result = `${role}: `;
     parties.forEach((party, index) => {
-        result += `${String.fromCharCode(97 + index)}) ${formatPersonText(party, commonAttributes)}`;
+        result += `${String.fromCharCode(97 + index)}) ${formatPersonText(party, commonAttributes, grammaticalCase)}`;
         if (index < parties.length - 1) {
             result += ', ';
         }
     });
-    result += formatCommonAttributes(commonAttributes, parties.length);
+    result += formatCommonAttributes(commonAttributes, parties);
     return result;
 }
 
@@ -192,36 +680,41 @@ function formatMultipleParties(parties, role) {
  * Format a single party's information.
  * @param {object} party - The party involved in the court case.
  * @param {string} role - The role of the party.
+ * @param {number} grammaticalCase - The grammatical case of the name of an institution.
  * @returns {string} - The formatted party information.
  */
-function formatSingleParty(party, role) {
-    return `${role}: ${formatPersonText(party)}`;
+function formatSingleParty(party, role, grammaticalCase = 1) {
+    return `${role}: ${formatPersonText(party, {}, grammaticalCase)}`;
 }
 
 /**
  * Get common attributes shared by multiple parties.
  * @param {array} parties - The parties involved in the court case.
- * @returns {object} - An object containing common nationality and attorney.
+ * @returns {object} - An object containing common nationality and representatives.
  */
 function getCommonAttributes(parties) {
-    const commonNationality = parties.every(p => p.nationality === parties[0].nationality) ? parties[0].nationality : null;
-    const commonAttorney = parties.every(p => p.attorney.firstName === parties[0].attorney.firstName && p.attorney.lastName === parties[0].attorney.lastName && p.attorney.firstName !== "") ? parties[0].attorney : null;
-    return { commonNationality, commonAttorney };
+    const nationalityKey = (party) => (party.nationality || '').trim().toLowerCase();
+    const commonNationality = parties.every(p => nationalityKey(p) === nationalityKey(parties[0])) ? parties[0].nationality : null;
+    // The parties share their representatives if all of them are represented by the same persons in the same way
+    const representativesKey = (party) => party.representatives.map(r => `${r.representationType}:${r.pId}`).sort().join('|');
+    const firstKey = representativesKey(parties[0]);
+    const commonRepresentatives = firstKey !== '' && parties.every(p => representativesKey(p) === firstKey) ? parties[0].representatives : null;
+    return { commonNationality, commonRepresentatives };
 }
 
 /**
  * Format the common attributes shared by multiple parties.
  * @param {object} commonAttributes - The common attributes.
- * @param {number} partyCount - The number of parties.
+ * @param {array} parties - The parties sharing the attributes.
  * @returns {string} - The formatted common attributes information.
  */
-function formatCommonAttributes(commonAttributes, partyCount) {
+function formatCommonAttributes(commonAttributes, parties) {
     let result = '';
-    if (commonAttributes.commonNationality && commonAttributes.commonNationality !== "Česká republika") {
-        result += `, ${partyCount === 2 ? 'oba' : 'všichni'} státní příslušnost ${commonAttributes.commonNationality}`;
+    if (isForeignNationality(commonAttributes.commonNationality)) {
+        result += `, ${formatAllOf(parties)} ${formatNationality(commonAttributes.commonNationality, nationalityStyle, getGroupGender(parties), true)}`;
     }
-    if (commonAttributes.commonAttorney && commonAttributes.commonAttorney.firstName !== "") {
-        result += `, ${partyCount === 2 ? 'oba' : 'všichni'} zast. ${formatAttorneyText(commonAttributes.commonAttorney)}`;
+    if (commonAttributes.commonRepresentatives) {
+        result += `, ${formatAllOf(parties)} zast. ${formatRepresentativesText(commonAttributes.commonRepresentatives)}`;
     }
     return result;
 }
@@ -235,14 +728,14 @@ function formatCommonAttributes(commonAttributes, partyCount) {
  */
 function formatMultipleDefendantDecisions(defendantDecisions, defendants, prefixFormat) {
     const decisionsByDefendants = groupDecisionsByDefendant(defendantDecisions, defendants);
-    let result = `, proti rozhodnutím`;
+    let result = `proti rozhodnutím`;
     decisionsByDefendants.forEach((decisionGroup, index) => {
         result += formatDefendantDecisionGroup(decisionGroup, prefixFormat);
         if (index < decisionsByDefendants.length - 1) {
             result += ', a';
         }
     });
-    return result + ',';
+    return result;
 }
 
 /**
@@ -252,7 +745,7 @@ function formatMultipleDefendantDecisions(defendantDecisions, defendants, prefix
  * @returns {string} - The formatted group of defendant decisions information.
  */
 function formatDefendantDecisionGroup(decisionGroup, prefixFormat) {
-    const defendantLabel = `žalovaného ${decisionGroup.defendant.label}`;
+    const defendantLabel = `${getRoleLabel('defendant', 2, [decisionGroup.defendant])} ${decisionGroup.defendant.label}`;
     const decisions = decisionGroup.decisions.map((decision, index, array) => {
         const caseNumberPart = decision.caseNumber !== "nevyplněno" ? `sp. zn. ${decision.caseNumber}, ` : "";
         if (index === array.length - 1 && array.length > 1) {
@@ -264,38 +757,128 @@ function formatDefendantDecisionGroup(decisionGroup, prefixFormat) {
 }
 
 /**
- * Extract the court decision details.
- * @returns {object} - The court decision details.
+ * Extract the details of all challenged court decisions.
+ * @param {Document} doc - The SVInfo page.
+ * @param {array} warnings - The warnings of the extraction (see addWarning).
+ * @returns {array} - The court decision details (empty if ISNSS contains none).
  */
-function extractCourtDecision() {
-    const lowerCourtDecisionRow = document.querySelector('#ctl00_PlaceHolderMain_ctl00_tabMain_TabSpravni_po10_grdSoudniVykonRizeni1Stupne .ms-vb2');
-    const lowerCourtDecisionRef = lowerCourtDecisionRow.querySelector('td:nth-child(1) a').innerText.trim();
-    let lowerCourtName = lowerCourtDecisionRow.querySelector('td:nth-child(2)').innerText.trim();
-    const lowerCourtDecisionDate = formatDate(lowerCourtDecisionRow.querySelector('td:nth-child(4)').innerText.trim());
-    let lowerCourtDecisionForm = lowerCourtDecisionRow.querySelector('td:nth-child(7)').innerText.trim().toLowerCase();
+function extractCourtDecisions(doc, warnings) {
+    const rows = getGridRows('lowerCourtDecisions', doc);
+    if (rows.length === 0) {
+        addWarning(warnings, 'error', 'V ISNSS chybí napadené rozhodnutí krajského soudu', { source: 'grdSoudniVykonRizeni1Stupne' });
+    }
+    return rows.map(row => extractCourtDecision(row, warnings));
+}
 
-    // Modify the decision form if it is "Rozsudek"
-    if (lowerCourtDecisionForm === "rozsudek") {
-        lowerCourtDecisionForm = "rozsudku";
+/**
+ * Extract the details of a challenged court decision.
+ * @param {object} lowerCourtDecisionRow - The row element of the decision.
+ * @param {array} warnings - The warnings of the extraction (see addWarning).
+ * @returns {object} - The court decision details.
+ */
+function extractCourtDecision(lowerCourtDecisionRow, warnings) {
+    const lowerCourtDecisionRef = getGridCell(lowerCourtDecisionRow, 'lowerCourtDecisions', 'ref')?.querySelector('a')?.innerText.trim() || '';
+    let lowerCourtName = getGridCell(lowerCourtDecisionRow, 'lowerCourtDecisions', 'court')?.innerText.trim() || '';
+    const dateText = getGridCell(lowerCourtDecisionRow, 'lowerCourtDecisions', 'date')?.innerText.trim() || '';
+    const lowerCourtDecisionDate = dateText ? formatDate(dateText) : '';
+    let lowerCourtDecisionForm = getGridCell(lowerCourtDecisionRow, 'lowerCourtDecisions', 'form')?.innerText.trim().toLowerCase() || '';
+
+    if (!lowerCourtDecisionRef || !dateText) {
+        addWarning(warnings, 'error', 'U napadeného rozhodnutí krajského soudu chybí v ISNSS číslo jednací nebo datum', {
+            decision: lowerCourtDecisionRef,
+            source: describeRow(lowerCourtDecisionRow)
+        });
     }
 
-    // Modify the court name based on specific conditions
-    if (lowerCourtName.includes("Krajský")) {
-        lowerCourtName = lowerCourtName.replace("Krajský", "Krajského");
-    } else if (lowerCourtName.includes("Městský")) {
-        lowerCourtName = lowerCourtName.replace("Městský", "Městského");
-    } else if (lowerCourtName.includes("Okresní")) {
-        lowerCourtName = lowerCourtName.replace("Okresní", "Okresního");
+    // The decision form follows "proti", so it is in the dative
+    const declinedForm = declineCourtDecisionForm(lowerCourtDecisionForm);
+    if (declinedForm) {
+        lowerCourtDecisionForm = declinedForm;
+    } else {
+        addWarning(warnings, 'warning', `Formu rozhodnutí „${lowerCourtDecisionForm}“ se nepodařilo vyskloňovat`, {
+            decision: lowerCourtDecisionRef,
+            source: describeRow(lowerCourtDecisionRow)
+        });
     }
 
-    // Ensure "soud" is replaced in all cases where it appears
-    if (lowerCourtName.includes(" soud ")) {
-        lowerCourtName = lowerCourtName.replace(" soud ", " soudu ");
+    // The court name follows the decision form, so it is always in the genitive
+    const declinedCourtName = declineInstitution(lowerCourtName, 2);
+    if (declinedCourtName) {
+        lowerCourtName = declinedCourtName;
+    } else {
+        addWarning(warnings, 'warning', 'Název soudu se nepodařilo vyskloňovat', { source: describeRow(lowerCourtDecisionRow) });
     }
 
     return { lowerCourtDecisionRef, lowerCourtName, lowerCourtDecisionDate, lowerCourtDecisionForm };
 }
 
+/**
+ * Decline the form of a court decision into the dative (e.g. "rozsudek" into "rozsudku").
+ * @param {string} form - The decision form from ISNSS in lower case.
+ * @returns {string|null} - The declined form or null if the form is not known.
+ */
+function declineCourtDecisionForm(form) {
+    const forms = {
+        'rozsudek': 'rozsudku',
+        'usnesení': 'usnesení',
+        'opatření': 'opatření',
+        'rozhodnutí': 'rozhodnutí',
+        'platební rozkaz': 'platebnímu rozkazu'
+    };
+    return forms[form] || null;
+}
+
+/**
+ * Format the challenged court decisions (e.g. "rozsudku Krajského soudu v Brně ze dne …, č. j. …, a usnesení téhož soudu ze dne …").
+ * @param {array} courtDecisions - The court decision details.
+ * @param {string} prefixFormat - The prefix format to use (e.g., "č. j." or "čj.").
+ * @returns {string} - The formatted court decisions (only the inline warning if there are none).
+ */
+function formatCourtDecisions(courtDecisions, prefixFormat) {
+    if (courtDecisions.length === 0) {
+        return formatInlineWarning('Chybí napadené rozhodnutí krajského soudu').trim();
+    }
+    return courtDecisions.map((decision, index) => {
+        const isSameCourt = index > 0 && decision.lowerCourtName === courtDecisions[index - 1].lowerCourtName;
+        const court = isSameCourt ? 'téhož soudu' : decision.lowerCourtName;
+        const text = `${decision.lowerCourtDecisionForm} ${court} ze dne ${decision.lowerCourtDecisionDate}, ${prefixFormat} ${decision.lowerCourtDecisionRef}`;
+        return index === courtDecisions.length - 1 && index > 0 ? `a ${text}` : text;
+    }).join(', ');
+}
+
+/**
+ * Decline the name of a court or an authority.
+ * The curated declension from institutions.js is used first; the Inflection class is the fallback for unknown
+ * names, but only if the user switched the inflection on, because it does not know the names of institutions.
+ * @param {string} name - The name in the nominative.
+ * @param {number} grammaticalCase - The grammatical case (1-7).
+ * @returns {string|null} - The declined name or null if it cannot be declined.
+ */
+function declineInstitution(name, grammaticalCase) {
+    const declined = declineInstitutionName(name, grammaticalCase);
+    if (declined || !inflectText || grammaticalCase === 1) {
+        return declined;
+    }
+    // Only the leading adjectives and the following word are inflected, the rest of the name is usually a genitive complement
+    // and the part after a comma or a dash is usually the legal form (e.g. "z. s.")
+    const trimmedName = name.trim();
+    const separatorIndex = trimmedName.search(/,\s+|\s+[–-]\s+/);
+    const firstPart = separatorIndex === -1 ? trimmedName : trimmedName.slice(0, separatorIndex);
+    const words = firstPart.split(/\s+/);
+    const headLength = words.findIndex(word => !/[ýáéí]$/.test(word)) + 1;
+    const headWords = words.slice(0, headLength);
+    // Abbreviations (e.g. "ABC s.r.o.") are not inflected
+    if (headLength === 0 || !headWords.every(word => /^\p{L}+$/u.test(word) && word !== word.toUpperCase())) {
+        return null;
+    }
+    const inflectedHead = new Inflection().inflect(headWords.join(' ').toLowerCase())[grammaticalCase];
+    if (!inflectedHead) {
+        return null;
+    }
+    const restoredHead = inflectedHead.split(' ').map((word, index) => matchCapitalization(word, headWords[index])).join(' ');
+    return [restoredHead, ...words.slice(headLength)].join(' ') + trimmedName.slice(firstPart.length);
+}
+
 /**
  * Group defendant decisions by defendant.
  * @param {array} defendantDecisions - The decisions made by the defendants.
@@ -311,45 +894,70 @@ function groupDecisionsByDefendant(defendantDecisions, defendants) {
 
 /**
  * Extract persons involved in the court case based on their role.
- * @param {string} role - The role of the persons to extract.
+ * @param {array} roles - The ISNSS names of the role of the persons to extract.
+ * @param {Document} doc - The SVInfo page.
+ * @param {array} warnings - The warnings of the extraction (see addWarning).
  * @returns {array} - An array of extracted persons.
  */
-async function extractPersons(role) {
-    const persons = [];
-    const personRows = document.querySelectorAll('#ctl00_PlaceHolderMain_ctl00_tabMain_TabPanel3_po8_grdSVRoleVeSporu .ms-vb2');
-    for (const row of personRows) {
-        const roleCell = row.querySelector('td:nth-child(2)');
-        if (roleCell && roleCell.innerText.trim() === role) {
-            const personDetails = await extractPersonDetails(row);
-            if (personDetails) persons.push(personDetails);
-        }
-    }
-    return persons;
+async function extractPersons(roles, doc, warnings) {
+    const roleRows = getGridRows('parties', doc).filter(row => {
+        const roleCell = getGridCell(row, 'parties', 'role');
+        return roleCell && roles.includes(roleCell.innerText.trim());
+    });
+    // The persons are fetched simultaneously, the number of requests is limited in fetchDocument
+    const persons = await Promise.all(roleRows.map(row => extractPersonDetails(row, warnings)));
+    return persons.filter(Boolean);
 }
 
 /**
  * Extract details of a person involved in the court case.
  * @param {object} row - The row element containing the person's details.
+ * @param {array} warnings - The warnings of the extraction (see addWarning).
  * @returns {object|null} - The extracted person details or null if extraction fails.
  */
-async function extractPersonDetails(row) {
+async function extractPersonDetails(row, warnings) {
     const label = formatPersonLabel(row);
-    const link = row.querySelector('td:nth-child(3) a').getAttribute('href');
-    if (!link) return null;
+    const link = getGridCell(row, 'parties', 'person')?.querySelector('a')?.getAttribute('href');
+    if (!link) {
+        addWarning(warnings, 'error', 'Účastník nemá v ISNSS odkaz na detail osoby a byl vynechán', { source: describeRow(row) });
+        return null;
+    }
 
     const cls = new URLSearchParams(link.split('?')[1]).get('cls');
     const pId = new URLSearchParams(link.split('?')[1]).get('pId');
 
     // Prefer address from the main table row
-    const rowAddress = row.querySelector('td:nth-child(4)')?.innerText.trim() || '';
+    const rowAddress = getGridCell(row, 'parties', 'address')?.innerText.trim() || '';
 
-    const personDetails = await fetchPersonDetails(cls, pId);
+    const [personDetails, representatives] = await Promise.all([fetchPersonDetails(cls, pId), fetchRepresentatives(pId, row.ownerDocument, warnings)]);
     if (rowAddress) {
         personDetails.address = rowAddress;
     }
+    // Keep the raw ISNSS value for audit
+    personDetails.rawAddress = personDetails.address;
+    personDetails.address = normalizeAddress(personDetails.address);
 
-    const attorney = await fetchAttorney(pId);
-    return { label, type: cls === 'JRFyzickaOsobaInfo' ? 'physical' : 'legal', ...personDetails, attorney };
+    const person = { label, pId, type: cls === 'JRFyzickaOsobaInfo' ? 'physical' : 'legal', ...personDetails, representatives };
+
+    if (!person.address || person.address === 'adresa neznámá') {
+        addWarning(warnings, 'warning', 'Chybí adresa účastníka', { party: describePerson(person), source: describeRow(row) });
+    }
+    if (person.finalType === 'physical' && classifyState(person.nationality) === 'unknown') {
+        addWarning(warnings, 'warning', 'Státní příslušnost účastníka není v ISNSS zjištěna', { party: describePerson(person), source: describeRow(row) });
+    }
+    if (person.finalType !== 'physical' && classifyState(person.registrationState) === 'unknown') {
+        addWarning(warnings, 'warning', 'Stát registrace účastníka není v ISNSS zjištěn', { party: describePerson(person), source: describeRow(row) });
+    }
+    if (person.finalType === 'physical' && nationalityStyle === 'citizen' && classifyState(person.nationality) === 'foreign' && !hasStateGenitive(person.nationality)) {
+        addWarning(warnings, 'warning', `Stát „${person.nationality.trim()}“ se nepodařilo vyskloňovat, státní příslušnost je uvedena ve tvaru „státní příslušnost: ${person.nationality.trim()}“`, {
+            party: describePerson(person),
+            source: describeRow(row)
+        });
+    }
+    if (person.finalType === 'physical' && !person.genderConfident) {
+        addWarning(warnings, 'info', 'Nepodařilo se spolehlivě určit pohlaví účastníka', { party: describePerson(person), source: describeRow(row) });
+    }
+    return person;
 }
 
 /**
@@ -358,7 +966,7 @@ async function extractPersonDetails(row) {
  * @returns {string} - The formatted person label.
  */
 function formatPersonLabel(row) {
-    let label = row.querySelector('td:nth-child(1)').innerText.trim();
+    let label = getGridCell(row, 'parties', 'label')?.innerText.trim() || '';
     if (label && !label.endsWith(')')) {
         label += ')';
     }
@@ -367,15 +975,77 @@ function formatPersonLabel(row) {
 
 /**
  * Fetch details of a person from the server.
+ * The parsed details are cached, so a person (typically an attorney of many clients) is fetched only once.
  * @param {string} cls - The class of the person (e.g., "JRFyzickaOsobaInfo").
  * @param {string} pId - The person ID.
- * @returns {object} - The fetched person details.
+ * @returns {object} - The fetched person details (a copy which the caller may modify).
  */
 async function fetchPersonDetails(cls, pId) {
-    const response = await fetch(`http://isnss/main.aspx?cls=${cls}&pId=${pId}`);
-    const text = await response.text();
-    const doc = new DOMParser().parseFromString(text, 'text/html');
-    return cls === 'JRFyzickaOsobaInfo' ? fetchPhysicalPersonDetails(doc) : fetchLegalPersonDetails(doc);
+    const key = `${cls}:${pId}`;
+    if (!personPageCache.has(key)) {
+        const details = fetchDocument(`http://isnss/main.aspx?cls=${cls}&pId=${pId}`).then(doc => {
+            return cls === 'JRFyzickaOsobaInfo' ? fetchPhysicalPersonDetails(doc) : fetchLegalPersonDetails(doc);
+        });
+        // A failed request is not cached so that it is retried in the next extraction
+        details.catch(() => personPageCache.delete(key));
+        personPageCache.set(key, details);
+    }
+    return { ...await personPageCache.get(key) };
+}
+
+/**
+ * Clear the cache of the person pages (e.g. after the data in ISNSS have been corrected).
+ * @returns {number} - The number of removed entries.
+ */
+function clearPersonPageCache() {
+    const size = personPageCache.size;
+    personPageCache.clear();
+    return size;
+}
+
+/**
+ * Fetch and parse an ISNSS page. At most fetchConcurrency requests run at the same time.
+ * @param {string} url - The URL of the page.
+ * @returns {Document} - The parsed page (rejected if ISNSS responds with an error).
+ */
+async function fetchDocument(url) {
+    await acquireFetchSlot();
+    try {
+        // The ISNSS login is needed also for the requests of the batch mode from the offscreen document
+        const response = await fetch(url, { credentials: 'include' });
+        // An error page of ISNSS would be parsed (and cached) as a page without data
+        if (!response.ok) {
+            throw new Error(`Stránku ISNSS ${url} se nepodařilo načíst (HTTP ${response.status})`);
+        }
+        const text = await response.text();
+        return new DOMParser().parseFromString(text, 'text/html');
+    } finally {
+        releaseFetchSlot();
+    }
+}
+
+/**
+ * Wait for a free request slot.
+ * @returns {Promise} - Resolved when the request may start.
+ */
+function acquireFetchSlot() {
+    if (fetchSlots.active < Math.max(1, fetchConcurrency)) {
+        fetchSlots.active++;
+        return Promise.resolve();
+    }
+    return new Promise(resolve => fetchSlots.waiting.push(resolve));
+}
+
+/**
+ * Hand the request slot over to the next waiting request or free it.
+ */
+function releaseFetchSlot() {
+    const next = fetchSlots.waiting.shift();
+    if (next) {
+        next();
+    } else {
+        fetchSlots.active--;
+    }
 }
 
 /**
@@ -384,20 +1054,51 @@ async function fetchPersonDetails(cls, pId) {
  * @returns {object} - The fetched physical person details.
  */
 function fetchPhysicalPersonDetails(doc) {
-    const firstName = getTextContent(doc, '#ctl00_PlaceHolderMain_ctl00_tabMain_tabFO_fo1_frmFO_lblJmeno');
-    const lastName = getTextContent(doc, '#ctl00_PlaceHolderMain_ctl00_tabMain_tabFO_fo1_frmFO_lblPrijmeni');
-    const predicate = getTextContent(doc, '#ctl00_PlaceHolderMain_ctl00_tabMain_tabFO_fo1_frmFO_lblPridomek');
+    const firstName = getTextContent(doc, selectorProfile.physicalPerson.firstName);
+    const lastName = getTextContent(doc, selectorProfile.physicalPerson.lastName);
+    const predicate = getTextContent(doc, selectorProfile.physicalPerson.predicate);
     if (firstName === '' && lastName === '' && predicate !== '') {
         return fetchOnePersonAuthorityDetails(doc);
     }
-    const birthdate = getTextContent(doc, '#ctl00_PlaceHolderMain_ctl00_tabMain_tabFO_fo1_frmFO_lblDatumNarozeni');
+    const birthdate = getTextContent(doc, selectorProfile.physicalPerson.birthdate);
     const formattedBirthdate = birthdate ? formatDate(birthdate) : null;
-    const nationality = getTextContent(doc, '#ctl00_PlaceHolderMain_ctl00_tabMain_tabFO_fo1_frmFO_lblStatPrislusnost');
-    const address = getTextContent(doc, '#ctl00_PlaceHolderMain_ctl00_tabMain_tabFO_fo1_frmFO_lblAdresa');
-    const titlesBefore = getTextContent(doc, '#ctl00_PlaceHolderMain_ctl00_tabMain_tabFO_fo1_frmFO_lblTitulPred');
-    const titlesAfter = getTextContent(doc, '#ctl00_PlaceHolderMain_ctl00_tabMain_tabFO_fo1_frmFO_lblTitulZa');
+    const nationality = getTextContent(doc, selectorProfile.physicalPerson.nationality);
+    const address = getTextContent(doc, selectorProfile.physicalPerson.address);
+    const titlesBefore = getTextContent(doc, selectorProfile.physicalPerson.titlesBefore);
+    const titlesAfter = getTextContent(doc, selectorProfile.physicalPerson.titlesAfter);
+    const sex = getTextContent(doc, selectorProfile.physicalPerson.sex);
+    const { gender, genderConfident } = determineGender(firstName, lastName, sex);
     const finalType = 'physical';
-    return { firstName, lastName, formattedBirthdate, nationality, address, titlesBefore, titlesAfter, finalType };
+    return { firstName, lastName, formattedBirthdate, nationality, address, titlesBefore, titlesAfter, gender, genderConfident, finalType };
+}
+
+/**
+ * Determine the gender of a physical person.
+ * An explicit ISNSS field wins, otherwise the first name and the surname ending are combined.
+ * @param {string} firstName - The first name of the person.
+ * @param {string} lastName - The surname of the person.
+ * @param {string} sex - The value of the sex field in ISNSS (may be empty).
+ * @returns {object} - An object with the gender ('m', 'f' or null) and whether it was determined confidently.
+ */
+function determineGender(firstName, lastName, sex) {
+    const explicitSex = (sex || '').trim().toLowerCase();
+    if (['muž', 'mužské', 'm'].includes(explicitSex)) {
+        return { gender: 'm', genderConfident: true };
+    }
+    if (['žena', 'ženské', 'ž', 'z', 'f'].includes(explicitSex)) {
+        return { gender: 'f', genderConfident: true };
+    }
+
+    const inflector = new Inflection();
+    const firstNameGuess = inflector.guessFirstNameGender(firstName);
+    const surnameGender = inflector.guessSurnameGender(lastName);
+
+    const gender = firstNameGuess.certain ? firstNameGuess.gender : (surnameGender || firstNameGuess.gender);
+    const genderConfident = firstNameGuess.gender !== null && (
+        (firstNameGuess.certain && (surnameGender === null || surnameGender === firstNameGuess.gender)) ||
+        surnameGender === firstNameGuess.gender
+    );
+    return { gender, genderConfident };
 }
 
 /**
@@ -406,9 +1107,9 @@ function fetchPhysicalPersonDetails(doc) {
  * @returns {object} - The fetched legal person details.
  */
 function fetchLegalPersonDetails(doc) {
-    const name = getTextContent(doc, '#ctl00_PlaceHolderMain_ctl00_tabMain_tabPO_po1_frmPO_lblNazev');
-    const address = getTextContent(doc, '#ctl00_PlaceHolderMain_ctl00_tabMain_tabPO_po1_frmPO_lblAdresa');
-    const registrationState = getTextContent(doc, '#ctl00_PlaceHolderMain_ctl00_tabMain_tabPO_po1_frmPO_lblStatReg');
+    const name = getTextContent(doc, selectorProfile.legalPerson.name);
+    const address = getTextContent(doc, selectorProfile.legalPerson.address);
+    const registrationState = getTextContent(doc, selectorProfile.legalPerson.registrationState);
     const finalType = 'legal';
     return { name, address, registrationState, finalType };
 }
@@ -419,9 +1120,9 @@ function fetchLegalPersonDetails(doc) {
  * @returns {object} - The fetched authority details.
  */
 function fetchOnePersonAuthorityDetails(doc) {
-    const name = getTextContent(doc, '#ctl00_PlaceHolderMain_ctl00_tabMain_tabFO_fo1_frmFO_lblPridomek');
-    const address = getTextContent(doc, '#ctl00_PlaceHolderMain_ctl00_tabMain_tabFO_fo1_frmFO_lblAdresa');
-    const registrationState = getTextContent(doc, '#ctl00_PlaceHolderMain_ctl00_tabMain_tabFO_fo1_frmFO_lblStatPrislusnost');
+    const name = getTextContent(doc, selectorProfile.physicalPerson.predicate);
+    const address = getTextContent(doc, selectorProfile.physicalPerson.address);
+    const registrationState = getTextContent(doc, selectorProfile.physicalPerson.nationality);
     const finalType = 'onepersonauthority';
     return { name, address, registrationState, finalType };
 }
@@ -438,49 +1139,184 @@ function getTextContent(doc, selector) {
 }
 
 /**
- * Fetch the attorney details of a person.
- * @param {string} pId - The person ID of the participant (plaintiff/defendant) for which we want the attorney.
- * @returns {object} - The fetched attorney details or a placeholder if the attorney is a legal person.
+ * Get the rows of an ISNSS grid.
+ * @param {string} grid - The name of the grid in the selector profile (e.g. "parties").
+ * @param {Document} doc - The document containing the grid.
+ * @returns {array} - The row elements.
  */
-async function fetchAttorney(pId) {
-    const attorneyRows = document.querySelectorAll('#ctl00_PlaceHolderMain_ctl00_tabMain_TabPanel3_po8_grdSVRolekUcastnikoviVeSporu .ms-vb2');
-    for (const row of attorneyRows) {
-        if (isMatchingAttorney(row, pId)) {
-            const attorneyLink = row.querySelector('td:nth-child(4) a').getAttribute('href');
-            const params = new URLSearchParams(attorneyLink.split('?')[1]);
-            const attorneyId = params.get('pId');
-            const attorneyCls = params.get('cls');
+function getGridRows(grid, doc = document) {
+    return Array.from(doc.querySelectorAll(selectorProfile.grids[grid].rows));
+}
 
-            // Prefer address from the main table row
-            const rowAddress = row.querySelector('td:nth-child(5)')?.innerText.trim() || '';
+/**
+ * Find the row of an ISNSS grid containing an element.
+ * @param {string} grid - The name of the grid in the selector profile (e.g. "parties").
+ * @param {object|null} element - The element (e.g. the target of the context menu).
+ * @returns {object|null} - The row element or null if the element is not in the grid.
+ */
+function findGridRow(grid, element) {
+    if (!element) return null;
+    return getGridRows(grid).find(row => row.contains(element)) || null;
+}
 
-            if (attorneyCls === 'JRFyzickaOsobaInfo') {
-                // Attorney is a physical person, so fetch normal details
-                const details = await fetchPersonDetails(attorneyCls, attorneyId);
-                if (rowAddress) {
-                    details.address = rowAddress;
-                }
-                return details;
-            } else {
-                // Attorney is a legal person (or unknown), return placeholder
-                return {
-                    isLegalAttorney: true  // Used later in formatAttorneyText
-                };
-            }
+/**
+ * Get a cell of an ISNSS grid row.
+ * @param {object} row - The row element.
+ * @param {string} grid - The name of the grid in the selector profile (e.g. "parties").
+ * @param {string} column - The name of the column in the selector profile (e.g. "address").
+ * @returns {object|null} - The cell element or null if the row has no such column.
+ */
+function getGridCell(row, grid, column) {
+    return row.querySelector(`td:nth-child(${selectorProfile.grids[grid].columns[column]})`);
+}
+
+/**
+ * Check that the elements of the selector profile exist in ISNSS.
+ * The grids are checked on the current page, the labels on the page of the first physical and legal person.
+ * @returns {array} - The problems found (in the same form as the extraction warnings).
+ */
+async function checkSelectorProfile() {
+    // Elements which are legitimately missing on some pages
+    const optional = [
+        'caseNumber', 'grids.lowerCourtDecisions', 'grids.defendantDecisions', 'grids.defendantDecisions.columns.form',
+        'grids.representatives', 'physicalPerson.predicate', 'physicalPerson.sex'
+    ];
+    const problems = [];
+    const report = (name, selector, message) => {
+        problems.push({
+            severity: optional.includes(name) ? 'warning' : 'error',
+            message: message || `Nebyl nalezen prvek „${name}“`,
+            party: null,
+            decision: null,
+            source: selector
+        });
+    };
+
+    if (!document.querySelector(selectorProfile.caseNumber)) {
+        report('caseNumber', selectorProfile.caseNumber);
+    }
+
+    Object.entries(selectorProfile.grids).forEach(([grid, { rows, columns }]) => {
+        const firstRow = getGridRows(grid)[0];
+        if (!firstRow) {
+            report(`grids.${grid}`, rows, `Tabulka „grids.${grid}“ nebyla nalezena nebo je prázdná`);
+            return;
         }
+        const cellCount = firstRow.querySelectorAll('td').length;
+        Object.entries(columns).forEach(([column, index]) => {
+            if (index > cellCount) {
+                report(`grids.${grid}.columns.${column}`, rows, `Tabulka „grids.${grid}“ nemá sloupec „${column}“ (${index}, počet sloupců tabulky: ${cellCount})`);
+            }
+        });
+    });
+
+    // The person pages are fetched directly, not from the cache, to check the current layout
+    const personLinks = getGridRows('parties').map(row => getGridCell(row, 'parties', 'person')?.querySelector('a')?.getAttribute('href')).filter(Boolean);
+    const pages = { physicalPerson: 'JRFyzickaOsobaInfo', legalPerson: 'JRPravnickaOsobaInfo' };
+    for (const [profileKey, cls] of Object.entries(pages)) {
+        const link = personLinks.find(href => new URLSearchParams(href.split('?')[1]).get('cls') === cls);
+        if (!link) continue;
+        const pId = new URLSearchParams(link.split('?')[1]).get('pId');
+        const doc = await fetchDocument(`http://isnss/main.aspx?cls=${cls}&pId=${pId}`);
+        Object.entries(selectorProfile[profileKey]).forEach(([field, selector]) => {
+            if (!doc.querySelector(selector)) {
+                report(`${profileKey}.${field}`, selector, `Na stránce osoby (${cls}, pId ${pId}) nebyl nalezen prvek „${profileKey}.${field}“`);
+            }
+        });
     }
-    // Default empty attorney if none found
-    return { firstName: "", lastName: "", address: "", titlesBefore: "", titlesAfter: "" };
+    return problems;
 }
 
 /**
- * Check if the row contains an attorney matching the person ID.
- * @param {object} row - The row element containing the attorney's details.
- * @param {string} pId - The person ID.
- * @returns {boolean} - Whether the row contains a matching attorney.
+ * Fetch the representatives of a person (attorneys, legal guardians, curators, general proxies, insolvency administrators).
+ * @param {string} pId - The person ID of the participant (plaintiff/defendant) for which we want the representatives.
+ * @param {Document} doc - The SVInfo page.
+ * @param {array} warnings - The warnings of the extraction (see addWarning).
+ * @returns {array} - The fetched representatives, empty if none.
+ */
+async function fetchRepresentatives(pId, doc, warnings) {
+    const rows = getGridRows('representatives', doc).filter(row => isMatchingRepresentative(row, pId, warnings));
+    const representatives = (await Promise.all(rows.map(row => fetchRepresentative(row, warnings)))).filter(Boolean);
+    // A law firm is often entered together with the advocate handling the case, who is then named instead
+    const hasAdvocate = representatives.some(r => r.representationType === 'advokát' && r.finalType === 'physical');
+    return representatives.filter(r => !(hasAdvocate && r.representationType === 'advokát' && r.finalType !== 'physical'));
+}
+
+/**
+ * Fetch the details of a representative from a row of the representatives grid.
+ * @param {object} row - The row element of the representative.
+ * @param {array} warnings - The warnings of the extraction (see addWarning).
+ * @returns {object|null} - The representative details with the type of representation or null if the row has no link.
+ */
+async function fetchRepresentative(row, warnings) {
+    const subject = getGridCell(row, 'representatives', 'subject')?.innerText.trim() || '';
+    const representativeLink = getGridCell(row, 'representatives', 'representative')?.querySelector('a')?.getAttribute('href');
+    if (!representativeLink) {
+        addWarning(warnings, 'error', 'Zástupce nemá v ISNSS odkaz na detail osoby a byl vynechán', { party: subject, source: describeRow(row) });
+        return null;
+    }
+    const params = new URLSearchParams(representativeLink.split('?')[1]);
+    const representativeId = params.get('pId');
+    const representativeCls = params.get('cls');
+    // Older rows have no type of representation, they were always attorneys
+    const representationType = getGridCell(row, 'representatives', 'type')?.innerText.trim().toLowerCase() || 'advokát';
+
+    if (!getRepresentationLabel(representationType, 'm')) {
+        addWarning(warnings, 'warning', `Neznámý typ zastoupení „${representationType}“, zástupce je uveden bez označení`, {
+            party: subject,
+            source: describeRow(row)
+        });
+    }
+
+    const details = await fetchPersonDetails(representativeCls, representativeId);
+    if (details.finalType !== 'physical' && representationType === 'advokát' && !details.name) {
+        // The page of the law firm could not be read, return placeholder
+        return {
+            pId: representativeId,
+            representationType,
+            isLegalAttorney: true,  // Used later in formatAttorneyText
+            warning: addWarning(warnings, 'error', 'Advokát je v ISNSS zadán jako kancelář, jejíž údaje se nepodařilo načíst', {
+                party: subject,
+                source: describeRow(row)
+            })
+        };
+    }
+    // Prefer address from the main table row
+    const rowAddress = getGridCell(row, 'representatives', 'address')?.innerText.trim() || '';
+    if (rowAddress) {
+        details.address = rowAddress;
+    }
+    details.rawAddress = details.address;
+    details.address = normalizeAddress(details.address);
+    if (details.finalType === 'physical' && !details.genderConfident) {
+        const message = representationType === 'advokát'
+            ? 'Nepodařilo se určit, zda jde o advokáta, nebo advokátku'
+            : 'Nepodařilo se spolehlivě určit pohlaví zástupce';
+        details.genderWarning = addWarning(warnings, 'warning', message, {
+            party: `${details.firstName} ${details.lastName}`,
+            source: describeRow(row)
+        });
+    }
+    return { pId: representativeId, representationType, ...details };
+}
+
+/**
+ * Check if the row contains a representative of the person.
+ * @param {object} row - The row element containing the representative's details.
+ * @param {string} pId - The person ID of the represented participant.
+ * @param {array} warnings - The warnings of the extraction (see addWarning).
+ * @returns {boolean} - Whether the row contains a representative of the person.
  */
-function isMatchingAttorney(row, pId) {
-    const subjectLink = row.querySelector('td:nth-child(1) a').getAttribute('href');
+function isMatchingRepresentative(row, pId, warnings) {
+    const subjectCell = getGridCell(row, 'representatives', 'subject');
+    const subjectLink = subjectCell?.querySelector('a')?.getAttribute('href');
+    if (!subjectLink) {
+        addWarning(warnings, 'error', 'Zastoupený účastník nemá v ISNSS odkaz na detail osoby, zástupce byl vynechán', {
+            party: subjectCell?.innerText.trim() || '',
+            source: describeRow(row)
+        });
+        return false;
+    }
     const subjectId = new URLSearchParams(subjectLink.split('?')[1]).get('pId');
     return subjectId === pId;
 }
@@ -489,17 +1325,18 @@ function isMatchingAttorney(row, pId) {
  * Format the text of a person.
  * @param {object} person - The person details.
  * @param {object} commonAttributes - Common attributes shared by multiple parties.
+ * @param {number} grammaticalCase - The grammatical case of the name of an institution (physical persons keep the nominative).
  * @returns {string} - The formatted person text.
  */
-function formatPersonText(person, commonAttributes = {}) {
-    const { commonNationality, commonAttorney } = commonAttributes;
+function formatPersonText(person, commonAttributes = {}, grammaticalCase = 1) {
+    const { commonNationality, commonRepresentatives } = commonAttributes;
     let text = '';
     if (person.finalType === 'physical') {
-        text += formatPhysicalPersonText(person, commonNationality, commonAttorney);
+        text += formatPhysicalPersonText(person, commonNationality, commonRepresentatives);
     } else if (person.finalType === 'legal') {
-        text += formatLegalPersonText(person, commonNationality, commonAttorney);
+        text += formatLegalPersonText(person, commonNationality, commonRepresentatives, grammaticalCase);
     } else if (person.finalType === 'onepersonauthority') {
-        text += formatOnePersonAuthorityText(person, commonNationality, commonAttorney);
+        text += formatOnePersonAuthorityText(person, commonNationality, commonRepresentatives, grammaticalCase);
     }
     return text;
 }
@@ -508,58 +1345,62 @@ function formatPersonText(person, commonAttributes = {}) {
  * Format the text of a physical person.
  * @param {object} person - The physical person details.
  * @param {string|null} commonNationality - The common nationality shared by multiple parties.
- * @param {object|null} commonAttorney - The common attorney shared by multiple parties.
+ * @param {array|null} commonRepresentatives - The common representatives shared by multiple parties.
  * @returns {string} - The formatted physical person text.
  */
-function formatPhysicalPersonText(person, commonNationality, commonAttorney) {
-    let text = person.titlesBefore ? `${person.titlesBefore} ` : '';
-    text += `${person.firstName} ${person.lastName}`;
-    text += person.titlesAfter ? `, ${person.titlesAfter}` : '';
-    const age = person.formattedBirthdate ? calculateAge(person.formattedBirthdate) : null;
-    if ((age !== null && age < 18) || (person.nationality && person.nationality !== 'Česká republika')) {
+function formatPhysicalPersonText(person, commonNationality, commonRepresentatives) {
+    let name = person.titlesBefore ? `${person.titlesBefore} ` : '';
+    name += `${person.firstName} ${person.lastName}`;
+    name += person.titlesAfter ? `, ${person.titlesAfter}` : '';
+    let text = formatBold(name);
+    const age = person.age ?? null;
+    const isForeigner = isForeignNationality(person.nationality);
+    if ((age !== null && age < 18) || isForeigner) {
         if (person.formattedBirthdate) {
             text += `, nar. ${person.formattedBirthdate}`;
         }
     }
-    if (person.nationality && person.nationality !== 'Česká republika' && !commonNationality) {
-        text += `, státní příslušnost ${person.nationality}`;
+    if (isForeigner && !commonNationality) {
+        text += `, ${formatNationality(person.nationality, nationalityStyle, person.gender)}`;
     }
     if (person.address && person.address !== 'adresa neznámá') {
         text += `, bytem ${person.address}`;
     }
-    // Check if there's no common attorney, and this party's attorney
-    // is either a physical person (has a first name) OR is a legal attorney (isLegalAttorney = true).
-    if (
-      !commonAttorney &&
-      (person.attorney.firstName || person.attorney.isLegalAttorney)
-    ) {
-        text += `, zast. ${formatAttorneyText(person.attorney)}`;
+    // The representatives shared by all parties are stated once after the last of them
+    if (!commonRepresentatives && person.representatives.length > 0) {
+        text += `, zast. ${formatRepresentativesText(person.representatives)}`;
     }
     return text;
 }
 
+/**
+ * Check whether a nationality or a registration state is stated in the header (anything but the Czech Republic).
+ * @param {string|null} state - The nationality or the registration state from ISNSS.
+ * @returns {boolean} - Whether the state is foreign, unknown or the person is stateless.
+ */
+function isForeignNationality(state) {
+    return !['none', 'czech'].includes(classifyState(state));
+}
+
 /**
  * Format the text of a legal person.
  * @param {object} person - The legal person details.
  * @param {string|null} commonNationality - The common nationality shared by multiple parties.
- * @param {object|null} commonAttorney - The common attorney shared by multiple parties.
+ * @param {array|null} commonRepresentatives - The common representatives shared by multiple parties.
+ * @param {number} grammaticalCase - The grammatical case of the name (kept in the nominative if it cannot be declined).
  * @returns {string} - The formatted legal person text.
  */
-function formatLegalPersonText(person, commonNationality, commonAttorney) {
-    let text = person.name;
-    if (person.registrationState && person.registrationState !== 'Česká republika' && !commonNationality) {
-        text += `, stát registrace ${person.registrationState}`;
+function formatLegalPersonText(person, commonNationality, commonRepresentatives, grammaticalCase = 1) {
+    let text = formatBold(declineInstitution(person.name, grammaticalCase) || person.name);
+    if (isForeignNationality(person.registrationState) && !commonNationality) {
+        text += `, ${formatRegistrationState(person.registrationState, nationalityStyle)}`;
     }
     if (person.address && person.address !== 'adresa neznámá') {
         text += `, se sídlem ${person.address}`;
     }
-    // Check if there's no common attorney, and this party's attorney
-    // is either a physical person (has a first name) OR is a legal attorney (isLegalAttorney = true).
-    if (
-      !commonAttorney &&
-      (person.attorney.firstName || person.attorney.isLegalAttorney)
-    ) {
-        text += `, zast. ${formatAttorneyText(person.attorney)}`;
+    // The representatives shared by all parties are stated once after the last of them
+    if (!commonRepresentatives && person.representatives.length > 0) {
+        text += `, zast. ${formatRepresentativesText(person.representatives)}`;
     }
     return text;
 }
@@ -567,70 +1408,243 @@ function formatLegalPersonText(person, commonNationality, commonAttorney) {
 /**
  * Format the text of a one-person authority person.
  * @param {object} person - The one-person authority details.
- * @param {object|null} commonAttorney - The common attorney shared by multiple parties.
+ * @param {string|null} commonNationality - The common nationality shared by multiple parties.
+ * @param {array|null} commonRepresentatives - The common representatives shared by multiple parties.
+ * @param {number} grammaticalCase - The grammatical case of the name (kept in the nominative if it cannot be declined).
  * @returns {string} - The formatted one-person authority text.
  */
-function formatOnePersonAuthorityText(person, commonAttorney) {
-    let text = person.name;
-    if (person.registrationState && person.registrationState !== 'Česká republika' && !commonNationality) {
-        text += `, stát registrace ${person.registrationState}`;
+function formatOnePersonAuthorityText(person, commonNationality, commonRepresentatives, grammaticalCase = 1) {
+    let text = formatBold(declineInstitution(person.name, grammaticalCase) || person.name);
+    if (isForeignNationality(person.registrationState) && !commonNationality) {
+        text += `, ${formatRegistrationState(person.registrationState, nationalityStyle)}`;
     }
     if (person.address && person.address !== 'adresa neznámá') {
         text += `, se sídlem ${person.address}`;
     }
-    // Check if there's no common attorney, and this party's attorney
-    // is either a physical person (has a first name) OR is a legal attorney (isLegalAttorney = true).
-    if (
-      !commonAttorney &&
-      (person.attorney.firstName || person.attorney.isLegalAttorney)
-    ) {
-        text += `, zast. ${formatAttorneyText(person.attorney)}`;
+    // The representatives shared by all parties are stated once after the last of them
+    if (!commonRepresentatives && person.representatives.length > 0) {
+        text += `, zast. ${formatRepresentativesText(person.representatives)}`;
     }
     return text;
 }
 
 /**
- * Format the text of an attorney for display.
- * @param {object} attorney - The attorney details object returned by fetchAttorney.
- * @returns {string} - The formatted attorney text, or a placeholder if `isLegalAttorney` is true.
+ * Format the representatives of a party (e.g. "Mgr. Janem Malým, advokátem se sídlem …, a zákonnou zástupkyní …").
+ * @param {array} representatives - The representatives returned by fetchRepresentatives.
+ * @returns {string} - The formatted representatives.
  */
-function formatAttorneyText(attorney) {
-    // If the attorney is identified as a legal person (firm/office), return the placeholder
-    if (attorney.isLegalAttorney) {
-        return '!!! NAMÍSTO ADVOKÁTA JE V ISNSS ZADANÁ JEHO KANCELÁŘ !!!';
+function formatRepresentativesText(representatives) {
+    return representatives.map((representative, index) => {
+        const text = formatRepresentativeText(representative);
+        return index === representatives.length - 1 && index > 0 ? `a ${text}` : text;
+    }).join(', ');
+}
+
+/**
+ * Format the text of a representative according to the type of representation.
+ * Attorneys are named before their role, the other representatives after it (e.g. "opatrovníkem Petrem Horákem, bytem …").
+ * @param {object} representative - The representative details returned by fetchRepresentative.
+ * @returns {string} - The formatted representative text.
+ */
+function formatRepresentativeText(representative) {
+    if (representative.representationType === 'advokát') {
+        return formatAttorneyText(representative);
+    }
+
+    const isPhysical = representative.finalType === 'physical';
+    const name = isPhysical
+        ? formatRepresentativeName(representative)
+        : declineInstitution(representative.name, 7) || representative.name;
+    const label = getRepresentationLabel(representative.representationType, isPhysical ? representative.gender : 'm');
+
+    let text = label ? `${label}${formatInlineWarning(representative.genderWarning)} ${name}` : name;
+    if (representative.address && representative.address !== 'adresa neznámá') {
+        // Insolvency administrators are named with their office
+        const useSeat = !isPhysical || representative.representationType === 'insolvenční správce';
+        text += `, ${useSeat ? 'se sídlem' : 'bytem'} ${representative.address}`;
     }
+    return text;
+}
+
+/**
+ * Get the label of a representative in the instrumental (after "zast.").
+ * @param {string} representationType - The type of representation from ISNSS in lower case (e.g. "zákonný zástupce").
+ * @param {string} gender - The gender of the representative ('m' or 'f').
+ * @returns {string|null} - The label (e.g. "zákonnou zástupkyní") or null if the type is not known.
+ */
+function getRepresentationLabel(representationType, gender) {
+    const labels = {
+        'advokát': { m: 'advokátem', f: 'advokátkou' },
+        'zákonný zástupce': { m: 'zákonným zástupcem', f: 'zákonnou zástupkyní' },
+        'opatrovník': { m: 'opatrovníkem', f: 'opatrovnicí' },
+        'obecný zmocněnec': { m: 'obecným zmocněncem', f: 'obecnou zmocněnkyní' },
+        'zmocněnec': { m: 'zmocněncem', f: 'zmocněnkyní' },
+        'insolvenční správce': { m: 'insolvenčním správcem', f: 'insolvenční správkyní' }
+    };
+    const label = labels[representationType];
+    return label ? label[gender === 'f' ? 'f' : 'm'] : null;
+}
 
-    // Otherwise, proceed with the existing logic for physical persons
-    let firstName = attorney.firstName;
-    let lastName = attorney.lastName;
+/**
+ * Format the name of a physical representative with the titles, in the instrumental if the inflection is enabled.
+ * @param {object} person - The representative details.
+ * @returns {string} - The formatted name.
+ */
+function formatRepresentativeName(person) {
+    let firstName = person.firstName;
+    let lastName = person.lastName;
 
     if (inflectText) {
         if (typeof Inflection !== 'undefined') {
             const inflector = new Inflection();
-            const inflectedFirstName = inflector.inflect(firstName);
-            const inflectedLastName = inflector.inflect(lastName);
+            const firstNameWordCount = firstName.split(' ').length;
+            const inflectedName = inflector.inflect(`${firstName} ${lastName}`, false, person.gender)[7].split(' ');
 
             // Use the 7th form (instrumental) from the inflection result
-            firstName = inflectedFirstName[7];
-            lastName = inflectedLastName[7];
+            firstName = inflectedName.slice(0, firstNameWordCount).join(' ');
+            lastName = inflectedName.slice(firstNameWordCount).join(' ');
         } else {
             console.error("Inflection is not defined");
         }
     }
 
-    return `${attorney.titlesBefore ? `${attorney.titlesBefore} ` : ''}${firstName} ${lastName}${attorney.titlesAfter ? `, ${attorney.titlesAfter}` : ''}, advokátem se sídlem ${attorney.address}`;
+    return `${person.titlesBefore ? `${person.titlesBefore} ` : ''}${firstName} ${lastName}${person.titlesAfter ? `, ${person.titlesAfter}` : ''}`;
+}
+
+/**
+ * Format the text of an attorney for display.
+ * @param {object} attorney - The attorney details object returned by fetchRepresentative.
+ * @returns {string} - The formatted attorney text, or only the inline warning if `isLegalAttorney` is true.
+ */
+function formatAttorneyText(attorney) {
+    // If the page of the law firm could not be read, the attorney is left out (the warning is listed in the popup)
+    if (attorney.isLegalAttorney) {
+        return formatInlineWarning(attorney.warning).trim();
+    }
+    if (attorney.finalType !== 'physical') {
+        return formatLawFirmText(attorney);
+    }
+
+    const attorneyRole = getRepresentationLabel('advokát', attorney.gender);
+
+    return `${formatRepresentativeName(attorney)}, ${attorneyRole}${formatInlineWarning(attorney.genderWarning)} se sídlem ${attorney.address}`;
+}
+
+/**
+ * Format the text of a law firm representing a party (e.g. "advokátní společností Svoboda Legal s.r.o., se sídlem …").
+ * @param {object} lawFirm - The law firm details returned by fetchRepresentative.
+ * @returns {string} - The formatted law firm text.
+ */
+function formatLawFirmText(lawFirm) {
+    let text;
+    if (/^advokátní kancelář(?=[\s,]|$)/i.test(lawFirm.name)) {
+        // The name already says what it is, so it is only declined (e.g. "Advokátní kanceláří Novák")
+        text = declineInstitutionName(lawFirm.name, 7) || lawFirm.name;
+    } else {
+        // Companies (s.r.o., v.o.s., k.s., a.s.) are advocate companies, the other firms are named as law offices
+        const isCompany = /(^|[\s,])(s\.\s?r\.\s?o\.|v\.\s?o\.\s?s\.|k\.\s?s\.|a\.\s?s\.)$/i.test(lawFirm.name.trim());
+        text = `${isCompany ? 'advokátní společností' : 'advokátní kanceláří'} ${lawFirm.name}`;
+    }
+    if (lawFirm.address && lawFirm.address !== 'adresa neznámá') {
+        text += `, se sídlem ${lawFirm.address}`;
+    }
+    return text;
+}
+
+/**
+ * Get the date against which the ages of the parties are calculated (see ageReference).
+ * Falls back to today with a warning if the chosen date is not available.
+ * @param {array} courtDecisions - The challenged court decisions.
+ * @param {array} warnings - The warnings of the extraction (see addWarning).
+ * @returns {Date} - The reference date.
+ */
+function getAgeReferenceDate(courtDecisions, warnings) {
+    const today = new Date(Date.now());
+    if (ageReference.type === 'decision') {
+        const match = (ageReference.decisionDate || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (match) {
+            return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        }
+        addWarning(warnings, 'warning', 'Datum rozhodnutí NSS pro výpočet věku účastníků není vyplněno, věk je počítán k dnešnímu dni');
+    } else if (ageReference.type === 'lowerCourt') {
+        const dates = courtDecisions.map(decision => parseDate(decision.lowerCourtDecisionDate)).filter(Boolean);
+        if (dates.length > 0) {
+            return new Date(Math.max(...dates));
+        }
+        addWarning(warnings, 'warning', 'Datum rozhodnutí krajského soudu pro výpočet věku účastníků chybí, věk je počítán k dnešnímu dni');
+    }
+    return new Date(today.getFullYear(), today.getMonth(), today.getDate());
+}
+
+/**
+ * Set the age of a physical person at the reference date and warn if the person turns 18 close to it.
+ * @param {object} person - The person details (modified in place).
+ * @param {Date} referenceDate - The date against which the age is calculated.
+ * @param {array} warnings - The warnings of the extraction (see addWarning).
+ */
+function applyAge(person, referenceDate, warnings) {
+    const birthdate = person.finalType === 'physical' ? parseDate(person.formattedBirthdate) : null;
+    if (!birthdate) {
+        return;
+    }
+    person.age = calculateAge(person.formattedBirthdate, referenceDate);
+
+    const adulthood = new Date(birthdate.getFullYear() + 18, birthdate.getMonth(), birthdate.getDate());
+    const windowStart = new Date(referenceDate.getFullYear(), referenceDate.getMonth() - AGE_WARNING_MONTHS, referenceDate.getDate());
+    const windowEnd = new Date(referenceDate.getFullYear(), referenceDate.getMonth() + AGE_WARNING_MONTHS, referenceDate.getDate());
+    if (adulthood >= windowStart && adulthood <= windowEnd) {
+        const isFemale = person.gender === 'f';
+        const verb = adulthood > referenceDate ? 'dosáhne' : (isFemale ? 'dosáhla' : 'dosáhl');
+        addWarning(warnings, 'warning', `${isFemale ? 'Účastnice' : 'Účastník'} ${verb} 18 let dne ${formatDateOf(adulthood)}, blízko dne ${formatDateOf(referenceDate)}, k němuž se počítá věk – ověřte, zda uvést datum narození`, {
+            party: describePerson(person)
+        });
+    }
 }
 
 /**
  * Calculate the age of a person based on their birthdate.
- * @param {string} birthdate - The birthdate in the format "dd.mm.yyyy".
+ * @param {string} birthdate - The birthdate in the format "d. m. yyyy" (or "dd.mm.yyyy").
+ * @param {Date} referenceDate - The date at which the age is calculated (today by default).
  * @returns {number|null} - The calculated age or null if the birthdate is invalid.
  */
-function calculateAge(birthdate) {
-    const [day, month, year] = birthdate.split('.').map(Number);
-    const birthDate = new Date(year, month - 1, day);
-    const ageDiff = Date.now() - birthDate.getTime();
-    return Math.abs(new Date(ageDiff).getUTCFullYear() - 1970);
+function calculateAge(birthdate, referenceDate = new Date(Date.now())) {
+    const birthDate = parseDate(birthdate);
+    if (!birthDate) {
+        return null;
+    }
+    let age = referenceDate.getFullYear() - birthDate.getFullYear();
+    const hadBirthday = referenceDate.getMonth() > birthDate.getMonth()
+        || (referenceDate.getMonth() === birthDate.getMonth() && referenceDate.getDate() >= birthDate.getDate());
+    return hadBirthday ? age : age - 1;
+}
+
+/**
+ * Parse a date in the Czech format.
+ * @param {string} dateString - The date (e.g. "3. 3. 2025" or "03.03.2025").
+ * @returns {Date|null} - The date or null if the text is not a date.
+ */
+function parseDate(dateString) {
+    const match = (dateString || '').match(/^\s*(\d{1,2})\.\s*(\d{1,2})\.\s*(\d{4})\s*$/);
+    return match ? new Date(Number(match[3]), Number(match[2]) - 1, Number(match[1])) : null;
+}
+
+/**
+ * Format a date in the Czech format.
+ * @param {Date} date - The date.
+ * @returns {string} - The formatted date (e.g. "3. 3. 2025").
+ */
+function formatDateOf(date) {
+    return `${date.getDate()}. ${date.getMonth() + 1}. ${date.getFullYear()}`;
+}
+
+/**
+ * Format a date as "YYYY-MM-DD" (in the local time zone).
+ * @param {Date} date - The date.
+ * @returns {string} - The formatted date.
+ */
+function formatIsoDate(date) {
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
 }
 
 /**
@@ -643,32 +1657,236 @@ function formatDate(dateString) {
     return `${parseInt(day)}. ${parseInt(month)}. ${year}`;
 }
 
+/**
+ * Normalise an ISNSS address into the citation form "ulice číslo, obec".
+ * The postal code and the part of the municipality are removed, Prague districts are restored where possible.
+ * Only addresses ending with a Czech postal code and municipality are normalised, the others (e.g. foreign
+ * addresses) are kept as stored in ISNSS.
+ * @param {string} address - The address as stored in ISNSS (e.g. "Vodičkova 681/18, Nové Město, 110 00 Praha 1").
+ * @returns {string} - The normalised address (e.g. "Vodičkova 681/18, Praha 1").
+ */
+function normalizeAddress(address) {
+    if (!address || address === 'adresa neznámá') return address;
+
+    const houseNumberPattern = /(^|\s)(č\.\s?p\.\s?)?\d+[a-zA-Z]?(\/\d+[a-zA-Z]?)?$/;
+    // The postal code starts the last part of the address (e.g. "110 00 Praha 1" or "PSČ 70200 Ostrava")
+    const municipalityPattern = /^(PSČ:?\s*)?\d{3} ?\d{2}\s+(\S.*)$/;
+    const parts = address.split(',').map(part => part.replace(/\s+/g, ' ').trim());
+    const municipalityMatch = parts[parts.length - 1].match(municipalityPattern);
+    if (parts.length < 2 || !municipalityMatch) {
+        return address.trim();
+    }
+    const municipalityIndex = parts.length - 1;
+
+    const streetIndex = parts.findIndex((part, index) => index < municipalityIndex && houseNumberPattern.test(part));
+    if (streetIndex === -1) {
+        return [...parts.slice(0, municipalityIndex), municipalityMatch[2]].filter(Boolean).join(', ');
+    }
+
+    const street = parts[streetIndex];
+    let municipality = municipalityMatch[2];
+    const pragueMatch = municipality.match(/^Praha(?:\s+(\d{1,2}))?(?:\s*[-–]\s*(.+))?$/);
+    if (pragueMatch && pragueMatch[1]) {
+        municipality = `Praha ${pragueMatch[1]}`;
+    } else if (pragueMatch) {
+        // Restore the district from the part of the municipality (e.g. "Praha - Smíchov" or "Smíchov, Praha")
+        const cityParts = [pragueMatch[2], ...parts.filter((part, index) => index !== streetIndex && index !== municipalityIndex)];
+        const district = cityParts.filter(Boolean).map(getPragueDistrict).find(Boolean);
+        municipality = district || 'Praha';
+    }
+
+    // Municipalities without streets have the house number right after the name (e.g. "Lhota 12, Lhota")
+    if (street.startsWith(`${municipality} `)) {
+        return street;
+    }
+    return `${street}, ${municipality}`;
+}
+
+/**
+ * Get the Prague district for a part of Prague.
+ * Only parts lying (almost) entirely in one district are listed.
+ * @param {string} cityPart - The name of the part of Prague (e.g. "Smíchov").
+ * @returns {string|null} - The district (e.g. "Praha 5") or null if unknown.
+ */
+function getPragueDistrict(cityPart) {
+    const districts = {
+        'Staré Město': 1, 'Josefov': 1, 'Malá Strana': 1,
+        'Vyšehrad': 2,
+        'Žižkov': 3,
+        'Braník': 4, 'Podolí': 4, 'Krč': 4, 'Hodkovičky': 4, 'Lhotka': 4,
+        'Smíchov': 5, 'Košíře': 5, 'Motol': 5, 'Radlice': 5, 'Hlubočepy': 5,
+        'Dejvice': 6, 'Střešovice': 6, 'Břevnov': 6, 'Veleslavín': 6, 'Vokovice': 6, 'Liboc': 6, 'Ruzyně': 6,
+        'Holešovice': 7, 'Troja': 7,
+        'Karlín': 8, 'Kobylisy': 8, 'Bohnice': 8, 'Čimice': 8,
+        'Vysočany': 9, 'Prosek': 9, 'Hloubětín': 9,
+        'Strašnice': 10, 'Vršovice': 10, 'Malešice': 10, 'Záběhlice': 10
+    };
+    const district = districts[cityPart.trim()];
+    return district ? `Praha ${district}` : null;
+}
+
+/**
+ * Extract the NSS file number of the case.
+ * @param {Document} doc - The SVInfo page.
+ * @returns {string} - The file number (e.g. "5 As 12/2024") or an empty string if not found.
+ */
+function extractCaseNumber(doc = document) {
+    const caseNumber = getTextContent(doc, selectorProfile.caseNumber);
+    if (caseNumber) {
+        return caseNumber;
+    }
+    // The agendas decided by special panels (e.g. "Komp 3/2025") have no panel number
+    const match = doc.title.match(/(?:\d+\s+)?[A-Za-z]+\s+\d+\/\d{4}/);
+    return match ? match[0] : '';
+}
+
+/**
+ * Get the agenda from the file number.
+ * @param {string} caseNumber - The file number (e.g. "5 As 12/2024" or "Komp 3/2025").
+ * @returns {string} - The agenda (e.g. "As") or an empty string if the file number is not recognised.
+ */
+function getAgenda(caseNumber) {
+    const match = (caseNumber || '').match(/^\s*(?:\d+\s+)?([A-Za-z]+)\s+\d+\/\d{4}/);
+    return match ? match[1] : '';
+}
+
+/**
+ * Get the type of the proceedings from the agenda.
+ * A file number which could not be recognised is treated as a cassation complaint, the main use of the extractor.
+ * @param {string} agenda - The agenda (e.g. "As" or "Komp").
+ * @returns {string} - "cassation", "measureOfGeneralNature", "competenceDispute", "politicalParty", "disciplinary", "bias" or "unknown".
+ */
+function getAgendaType(agenda) {
+    if (!agenda || /^A[a-z]*s$/.test(agenda)) {
+        return 'cassation';
+    }
+    if (agenda === 'Ao') {
+        return 'measureOfGeneralNature';
+    }
+    if (['Komp', 'Konf'].includes(agenda)) {
+        return 'competenceDispute';
+    }
+    if (agenda === 'Pst') {
+        return 'politicalParty';
+    }
+    // Disciplinary proceedings against judges (Kss), prosecutors (Ksz), executors (Kse) and notaries (Ksn)
+    if (/^Ks[a-z]$/.test(agenda)) {
+        return 'disciplinary';
+    }
+    if (agenda === 'Nao') {
+        return 'bias';
+    }
+    return 'unknown';
+}
+
 /**
  * Extract the defendant decisions from the court case.
+ * @param {Document} doc - The SVInfo page.
+ * @param {array} warnings - The warnings of the extraction (see addWarning).
  * @returns {array} - An array of defendant decisions.
  */
-function extractDefendantDecisions() {
-    const decisions = [];
-    document.querySelectorAll('#ctl00_PlaceHolderMain_ctl00_tabMain_TabSpravni_po3_grdSoudniVykonSpravniOrgan .ms-vb2').forEach(row => {
-        const caseNumber = row.querySelector('td:nth-child(1) a').innerText.trim();
-        const ref = row.querySelector('td:nth-child(2)').innerText.trim();
-        const date = formatDate(row.querySelector('td:nth-child(4)').innerText.trim());
-        const defendant = row.querySelector('td:nth-child(3)').innerText.trim();
-        decisions.push({ date, ref, defendant, caseNumber });
-    });
-    return decisions;
+function extractDefendantDecisions(doc, warnings) {
+    return getGridRows('defendantDecisions', doc).map(row => extractDefendantDecision(row, warnings));
+}
+
+/**
+ * Extract a defendant decision from a row of the authority decisions grid.
+ * @param {object} row - The row element.
+ * @param {array} warnings - The warnings of the extraction (see addWarning).
+ * @returns {object} - The decision details.
+ */
+function extractDefendantDecision(row, warnings) {
+    const caseNumber = getGridCell(row, 'defendantDecisions', 'caseNumber')?.querySelector('a')?.innerText.trim() || '';
+    const ref = getGridCell(row, 'defendantDecisions', 'ref')?.innerText.trim() || '';
+    const dateText = getGridCell(row, 'defendantDecisions', 'date')?.innerText.trim() || '';
+    const date = dateText ? formatDate(dateText) : '';
+    const defendant = getGridCell(row, 'defendantDecisions', 'defendant')?.innerText.trim() || '';
+    const form = getGridCell(row, 'defendantDecisions', 'form')?.innerText.trim() || '';
+    if (!caseNumber || !dateText) {
+        addWarning(warnings, 'error', 'U napadeného rozhodnutí správního orgánu chybí v ISNSS spisová značka nebo datum', {
+            decision: ref || caseNumber,
+            source: describeRow(row)
+        });
+    }
+    return { date, ref, defendant, caseNumber, form };
+}
+
+/**
+ * Mark a part of the formatted text as bold (e.g. the names of the parties).
+ * The marks are converted by toPlainText and toHtml before copying.
+ * @param {string} text - The text to mark as bold.
+ * @returns {string} - The marked text.
+ */
+function formatBold(text) {
+    return `\u0002${text}\u0003`;
+}
+
+/**
+ * Convert the formatted text into plain text by removing the bold marks.
+ * @param {string} text - The formatted text.
+ * @returns {string} - The plain text.
+ */
+function toPlainText(text) {
+    return text.replace(/[\u0002\u0003]/g, '');
+}
+
+/**
+ * Convert the formatted text into HTML with the bold marks turned into <b> elements.
+ * @param {string} text - The formatted text.
+ * @returns {string} - The HTML text.
+ */
+function toHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/\u0002/g, '<b>')
+        .replace(/\u0003/g, '</b>');
+}
+
+/**
+ * Copy the formatted text to clipboard as both HTML and plain text.
+ * @param {string} formattedText - The formatted text with bold marks.
+ * @param {function} sendResponse - The function to send the response.
+ */
+function copyToClipboard(formattedText, sendResponse) {
+    const text = toPlainText(formattedText);
+    const html = toHtml(formattedText);
+    if (navigator.clipboard && typeof ClipboardItem !== 'undefined') {
+        const item = new ClipboardItem({
+            'text/html': new Blob([html], { type: 'text/html' }),
+            'text/plain': new Blob([text], { type: 'text/plain' })
+        });
+        navigator.clipboard.write([item]).then(() => {
+            sendResponse({ success: true, text: text });
+        }).catch(err => {
+            console.error("Error writing to clipboard:", err);
+            fallbackCopyTextToClipboard(text, html, sendResponse);
+        });
+    } else {
+        fallbackCopyTextToClipboard(text, html, sendResponse);
+    }
 }
 
 /**
  * Fallback method to copy text to clipboard if the Clipboard API is not available.
+ * The copy event is intercepted so that the HTML version is copied as well.
  * @param {string} text - The text to copy to clipboard.
+ * @param {string} html - The HTML version of the text.
  * @param {function} sendResponse - The function to send the response.
  */
-function fallbackCopyTextToClipboard(text, sendResponse) {
+function fallbackCopyTextToClipboard(text, html, sendResponse) {
     const tempTextArea = document.createElement("textarea");
     tempTextArea.value = text;
     document.body.appendChild(tempTextArea);
     tempTextArea.select();
+    const onCopy = (event) => {
+        event.clipboardData.setData('text/plain', text);
+        event.clipboardData.setData('text/html', html);
+        event.preventDefault();
+    };
+    document.addEventListener('copy', onCopy);
     try {
         document.execCommand("copy");
         sendResponse({ success: true, text: text });
@@ -676,30 +1894,55 @@ function fallbackCopyTextToClipboard(text, sendResponse) {
         console.error("ExecCommand error:", err);
         sendResponse({ success: false, error: err.toString() });
     } finally {
+        document.removeEventListener('copy', onCopy);
         document.body.removeChild(tempTextArea);
     }
 }
 
-// Event Listener for Messages
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+/**
+ * Handle a message of the popup or of the background script.
+ * @param {object} message - The message with the action and the settings of the extraction.
+ * @param {object} sender - The sender of the message.
+ * @param {function} sendResponse - Called with the result.
+ * @returns {boolean|undefined} - True if the response is sent asynchronously.
+ */
+function handleMessage(message, sender, sendResponse) {
+    if (message.fetchConcurrency > 0) {
+        fetchConcurrency = message.fetchConcurrency;
+    }
+    if ('selectorProfile' in message) {
+        const profile = mergeSelectorProfile(DEFAULT_SELECTOR_PROFILE, message.selectorProfile);
+        // The cached person pages were parsed with the previous selectors
+        if (JSON.stringify(profile) !== JSON.stringify(selectorProfile)) {
+            clearPersonPageCache();
+        }
+        selectorProfile = profile;
+    }
+
+    if (message.nationalityStyle) {
+        nationalityStyle = message.nationalityStyle;
+    }
+
+    if (message.ageReference) {
+        ageReference = { type: message.ageReference, decisionDate: message.decisionDate || '' };
+    }
+
     if (message.action === "extractInfo") {
         console.log("Received message:", message); // Debug log
 
         const includeVRizeni = message.includeVRizeni;
         const prefixFormat = message.prefixFormat;
         const useNavrhovatel = message.useNavrhovatel === "true"; // Convert string to boolean
+        const headerTemplate = message.headerTemplate;
         inflectText = message.inflectText; // Assign the value of the inflection setting to the global variable
+        inlineWarnings = message.inlineWarnings;
 
-        extractInformation(includeVRizeni, prefixFormat, useNavrhovatel).then(info => {
-            if (navigator.clipboard) {
-                navigator.clipboard.writeText(info).then(() => {
-                    sendResponse({ success: true, text: info });
-                }).catch(err => {
-                    console.error("Error writing to clipboard:", err);
-                    fallbackCopyTextToClipboard(info, sendResponse);
-                });
+        extractInformation(includeVRizeni, prefixFormat, useNavrhovatel, headerTemplate).then(({ text, warnings }) => {
+            if (message.copy === false) {
+                // The popup shows a preview and copies the text itself
+                sendResponse({ success: true, text: toPlainText(text), html: toHtml(text), warnings: warnings, caseNumber: extractCaseNumber() });
             } else {
-                fallbackCopyTextToClipboard(info, sendResponse);
+                copyToClipboard(text, (response) => sendResponse({ ...response, warnings: warnings }));
             }
         }).catch(err => {
             console.error("Error extracting information:", err);
@@ -708,7 +1951,77 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
         return true; // Keeps the messaging channel open for sendResponse
     }
-});
+
+    if (message.action === "copyRow") {
+        inflectText = message.inflectText;
+        inlineWarnings = message.inlineWarnings;
+
+        extractContextMenuRow(message.target, message.prefixFormat).then(({ text, warnings }) => {
+            copyToClipboard(text, (response) => sendResponse({ ...response, warnings: warnings }));
+        }).catch(err => {
+            console.error("Error copying the row:", err);
+            sendResponse({ success: false, error: err.message });
+        });
+
+        return true; // Keeps the messaging channel open for sendResponse
+    }
+
+    if (message.action === "extractBatch") {
+        inflectText = message.inflectText;
+        inlineWarnings = message.inlineWarnings;
+        const entries = parseBatchInput(message.input);
+        const options = {
+            includeVRizeni: message.includeVRizeni,
+            prefixFormat: message.prefixFormat,
+            useNavrhovatel: message.useNavrhovatel === "true",
+            headerTemplate: message.headerTemplate,
+            searchUrl: message.searchUrl
+        };
+
+        extractBatch(entries, options).then(results => {
+            const counts = { ok: 0, warning: 0, error: 0 };
+            results.forEach(result => counts[result.status]++);
+            sendResponse({ success: true, text: formatBatchOutput(results, message.format), counts: counts, summary: formatBatchSummary(counts) });
+        }).catch(err => {
+            console.error("Error extracting the batch:", err);
+            sendResponse({ success: false, error: err.toString() });
+        });
+
+        return true; // Keeps the messaging channel open for sendResponse
+    }
+
+    if (message.action === "extractModel") {
+        extractCaseModel().then(model => {
+            sendResponse({ success: true, model: model });
+        }).catch(err => {
+            console.error("Error extracting the case model:", err);
+            sendResponse({ success: false, error: err.toString() });
+        });
+
+        return true; // Keeps the messaging channel open for sendResponse
+    }
+
+    if (message.action === "selfCheck") {
+        checkSelectorProfile().then(problems => {
+            sendResponse({ success: true, problems: problems });
+        }).catch(err => {
+            console.error("Error checking the selector profile:", err);
+            sendResponse({ success: false, error: err.toString() });
+        });
+
+        return true; // Keeps the messaging channel open for sendResponse
+    }
+
+    if (message.action === "clearCache") {
+        sendResponse({ success: true, cleared: clearPersonPageCache() });
+    }
+}
+
+// Event Listener for Messages (registered only once, the script is injected again on every extraction from the popup)
+if (typeof messageListenerRegistered === 'undefined') {
+    var messageListenerRegistered = true;
+    chrome.runtime.onMessage.addListener(handleMessage);
+}
 
 
 /* ...END OF THE MAIN SCRIPT... */
@@ -1130,16 +2443,102 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                     "vejce",
                     "zvíře",
                 ];
+
+                this.femaleFirstNames = [
+                    "adéla", "agáta", "agnes", "alena", "alexandra", "alice", "alžběta", "amálie", "andrea", "aneta",
+                    "anežka", "anna", "barbora", "beáta", "beatrice", "blanka", "bohumila", "bohuslava", "božena", "dagmar",
+                    "dana", "daniela", "denisa", "denise", "diana", "dominika", "drahomíra", "edita", "eliška", "ellen",
+                    "ema", "emilie", "ester", "eva", "gabriela", "hana", "helena", "ilona", "ingrid", "irena",
+                    "iryna", "iva", "ivana", "iveta", "jana", "jarmila", "jaroslava", "jindřiška", "jiřina", "jitka",
+                    "johana", "julie", "kamila", "karin", "karolína", "kateřina", "klára", "kristýna", "lenka", "libuše",
+                    "lucie", "ludmila", "magdalena", "marcela", "marie", "markéta", "martina", "michaela", "milada", "milena",
+                    "miloslava", "miriam", "miroslava", "monika", "natálie", "nicole", "nikol", "oksana", "olga",
+                    "pavla", "pavlína", "petra", "radka", "renata", "romana", "rozálie", "růžena", "sabina", "simona",
+                    "simone", "sofie", "soňa", "stanislava", "svitlana", "šárka", "tereza", "vendula", "veronika", "věra",
+                    "viktorie", "vladimíra", "vlasta", "zdenka", "zdeňka", "zuzana", "žaneta",
+                ];
+
+                this.maleFirstNames = [
+                    "adam", "aleš", "alexandr", "antonín", "bohumil", "bohuslav", "bruno", "daniel", "david", "dominik",
+                    "dušan", "eduard", "emil", "filip", "františek", "honza", "hugo", "hynek", "ilja", "ivan",
+                    "ivo", "jakub", "jan", "jaromír", "jaroslav", "jindřich", "jirka", "jiří", "josef", "kamil",
+                    "karel", "kryštof", "ladislav", "libor", "lubomír", "luboš", "luděk", "lukáš", "marek", "martin",
+                    "matěj", "michal", "milan", "miloslav", "miloš", "miroslav", "noe", "oldřich", "ondřej",
+                    "oto", "otto", "patrik", "pavel", "petr", "přemysl", "radek", "radim", "rené", "richard",
+                    "robert", "roman", "rostislav", "stanislav", "šimon", "štěpán", "tadeáš", "tomáš", "václav",
+                    "viktor", "vít", "vítězslav", "vladimír", "vlastimil", "vojtěch", "zbyněk", "zdeněk",
+                ];
+
+                // First names used by both men and women (e.g. Nikola Tesla, Saša Rašilov), the gender is left open
+                this.unisexFirstNames = [
+                    "alex", "kim", "nikita", "nikola", "saša",
+                ];
+            }
+
+            /**
+             * Guess the gender of a person from the first name.
+             * Names found in the name lists are considered certain, the rest is guessed from the ending.
+             * Names used by both genders give no guess, so that the gender is taken from the surname (if at all).
+             * @param {string} firstName - The first name (only the first word is taken into account).
+             * @returns {object} - An object with the gender ('m', 'f' or null) and whether the guess is certain.
+             */
+            guessFirstNameGender(firstName) {
+                const name = (firstName || '').trim().split(/\s+/)[0].toLowerCase();
+                if (!name || this.unisexFirstNames.includes(name)) return { gender: null, certain: false };
+                if (this.femaleFirstNames.includes(name)) return { gender: 'f', certain: true };
+                if (this.maleFirstNames.includes(name)) return { gender: 'm', certain: true };
+                if (/(a|ie)$/.test(name)) return { gender: 'f', certain: false };
+                if (/[bcčdďfghjklmnňprřsštťvxzž]$/.test(name)) return { gender: 'm', certain: false };
+                return { gender: null, certain: false };
+            }
+
+            /**
+             * Guess the gender of a person from the surname ending.
+             * Consonant endings are ambiguous, because a female surname need not be feminised.
+             * @param {string} lastName - The surname.
+             * @returns {string|null} - 'f' for feminine endings, 'm' for the adjectival masculine ending or null.
+             */
+            guessSurnameGender(lastName) {
+                const name = (lastName || '').trim().split(/\s+/).pop().toLowerCase();
+                if (/á$/.test(name)) return 'f';
+                if (/ý$/.test(name)) return 'm';
+                return null;
             }
 
-            inflect(text, animate = false) {
+            /**
+             * Inflect the text into all grammatical cases.
+             * If the text looks like a personal name (every word capitalised), the gender of the whole name
+             * is inferred from the first name. Surnames of women without a feminine ending stay in the nominative.
+             * @param {string} text - The text to inflect.
+             * @param {boolean} animate - Whether to prefer the animate forms.
+             * @param {string|null} nameGender - The known gender of the name ('m' or 'f'), overrides the inference.
+             * @returns {array} - The inflected text indexed by the grammatical case (1-7 singular, 8-14 plural).
+             */
+            inflect(text, animate = false, nameGender = null) {
                 let words = text.split(' ').reverse();
                 let gender = null;
                 let inflected = [];
+                let keepSurname = false;
+
+                if (words.length > 1 && words.every(word => word[0] && word[0] !== word[0].toLowerCase())) {
+                    gender = nameGender || this.guessFirstNameGender(words[words.length - 1]).gender;
+                    keepSurname = gender === 'f' && this.guessSurnameGender(words[0]) !== 'f';
+                }
 
                 for (let word of words) {
                     let isUpper = word[0] === word[0].toUpperCase();
                     let inflectedWord = { 1: word };
+
+                    if (keepSurname) {
+                        // The non-feminised surname of a woman is indeclinable
+                        for (let caseIndex = 2; caseIndex < 15; caseIndex++) {
+                            inflectedWord[caseIndex] = word;
+                        }
+                        inflected.push(inflectedWord);
+                        keepSurname = false;
+                        continue;
+                    }
+
                     word = this.breakAccents(word);
                     let wordLower = word.toLowerCase();
 
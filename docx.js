@@ -0,0 +1,245 @@
+/**
+ * Export of the generated header into a Word document (.docx) for the ISNSS Extractor.
+ *
+ * The document is built in the popup from the previewed header (with the user's edits) without any library
+ * or server: the parts of the document are written as XML and packed into a ZIP archive without compression.
+ * The header is one paragraph in the "Záhlaví rozhodnutí" style with bold names of the parties and
+ * non-breaking spaces where Czech typography requires them.
+ *
+ * Author: Oldřich Tristan Florian
+ * Website: https://otflorian.com
+ *
+ */
+
+// Name of the paragraph style of the header; a style of the same name in the court's template takes precedence when pasting
+var DOCX_HEADER_STYLE = "Záhlaví rozhodnutí";
+
+var DOCX_MIME_TYPE = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+// Academic titles followed by a name (before the name they must not end a line)
+var DOCX_TITLES_BEFORE = ["Bc", "BcA", "Ing", "MgA", "Mgr", "JUDr", "MUDr", "MVDr", "PharmDr", "PhDr", "RNDr", "ThDr", "doc", "prof"];
+
+/**
+ * Create a Word document with the header.
+ * @param {string} html - The header as HTML (the preview in the popup), bold parts in <b> or <strong> elements.
+ * @returns {Blob} - The .docx file.
+ */
+function createDocx(html) {
+  const runs = splitBoldRuns(html);
+  const text = applyNonBreakingSpaces(runs.map(run => run.text).join(""));
+  // The non-breaking spaces replace single characters, so the runs keep their lengths
+  let offset = 0;
+  runs.forEach(run => {
+    run.text = text.slice(offset, offset + run.text.length);
+    offset += run.text.length;
+  });
+
+  const files = [
+    { name: "[Content_Types].xml", content: DOCX_CONTENT_TYPES },
+    { name: "_rels/.rels", content: DOCX_PACKAGE_RELATIONSHIPS },
+    { name: "word/_rels/document.xml.rels", content: DOCX_DOCUMENT_RELATIONSHIPS },
+    { name: "word/styles.xml", content: createDocxStyles() },
+    { name: "word/document.xml", content: createDocxDocument(runs) }
+  ];
+  return new Blob([createZip(files)], { type: DOCX_MIME_TYPE });
+}
+
+/**
+ * Split the header into runs of plain and bold text.
+ * @param {string} html - The header as HTML (edits in the preview may nest the elements).
+ * @returns {array} - The runs ({text, bold}).
+ */
+function splitBoldRuns(html) {
+  const body = new DOMParser().parseFromString(html, "text/html").body;
+  const walker = body.ownerDocument.createTreeWalker(body, NodeFilter.SHOW_TEXT);
+  const runs = [];
+  while (walker.nextNode()) {
+    const text = walker.currentNode.textContent;
+    const bold = Boolean(walker.currentNode.parentElement.closest("b, strong"));
+    const lastRun = runs[runs.length - 1];
+    if (lastRun && lastRun.bold === bold) {
+      lastRun.text += text;
+    } else if (text) {
+      runs.push({ text, bold });
+    }
+  }
+  return runs;
+}
+
+/**
+ * Replace the spaces which must not break a line by non-breaking spaces: after one-letter prepositions
+ * and conjunctions, inside dates, abbreviations ("č. j.", "sp. zn.") and after the labels of parties
+ * and academic titles.
+ * @param {string} text - The header as plain text.
+ * @returns {string} - The text with non-breaking spaces (the same length).
+ */
+function applyNonBreakingSpaces(text) {
+  const titles = DOCX_TITLES_BEFORE.join("|");
+  return text
+    .replace(/(?<=^|[\s(„])([aiksuvzoAIKSUVZO]) /g, "$1\u00A0")
+    .replace(/(\d{1,2}\.) (?=\d{1,2}\.\s\d{4})/g, "$1\u00A0")
+    .replace(/(\d{1,2}\.) (?=\d{4})/g, "$1\u00A0")
+    .replace(/(?<=^|[\s(])(č\.|sp\.) (?=j\.|zn\.)/g, "$1\u00A0")
+    .replace(/(?<=^|[\s(])(č\.\u00A0j\.|čj\.|sp\.\u00A0zn\.) /g, "$1\u00A0")
+    .replace(/(?<=^|[\s(])([a-z]\)) (?=\p{Lu})/gu, "$1\u00A0")
+    .replace(new RegExp(`(?<=^|[\\s(])((?:${titles})\\.) `, "g"), "$1\u00A0");
+}
+
+/**
+ * Escape the text for XML.
+ * @param {string} text - The text.
+ * @returns {string} - The escaped text.
+ */
+function escapeXml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Create the main part of the document with the header paragraph.
+ * @param {array} runs - The runs of plain and bold text.
+ * @returns {string} - The XML of word/document.xml.
+ */
+function createDocxDocument(runs) {
+  const runsXml = runs.map(run => {
+    const properties = run.bold ? "<w:rPr><w:b/></w:rPr>" : "";
+    return `<w:r>${properties}<w:t xml:space="preserve">${escapeXml(run.text)}</w:t></w:r>`;
+  }).join("");
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:body>
+<w:p><w:pPr><w:pStyle w:val="Zahlavi"/></w:pPr>${runsXml}</w:p>
+<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1417" w:right="1417" w:bottom="1417" w:left="1417" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr>
+</w:body>
+</w:document>`;
+}
+
+/**
+ * Create the styles of the document: the default font and the paragraph style of the header.
+ * @returns {string} - The XML of word/styles.xml.
+ */
+function createDocxStyles() {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:cs="Times New Roman"/><w:sz w:val="24"/><w:szCs w:val="24"/><w:lang w:val="cs-CZ"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+<w:style w:type="paragraph" w:customStyle="1" w:styleId="Zahlavi"><w:name w:val="${escapeXml(DOCX_HEADER_STYLE)}"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="240"/><w:jc w:val="both"/></w:pPr></w:style>
+</w:styles>`;
+}
+
+var DOCX_CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+</Types>`;
+
+var DOCX_PACKAGE_RELATIONSHIPS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`;
+
+var DOCX_DOCUMENT_RELATIONSHIPS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+/**
+ * Pack the files into a ZIP archive without compression ("stored"), which is enough for a small document.
+ * @param {array} files - The files ({name, content}) with ASCII names and text content.
+ * @returns {Uint8Array} - The archive.
+ */
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // local file header signature
+    local.setUint16(4, 20, true); // version needed to extract
+    local.setUint16(6, 0, true); // flags
+    local.setUint16(8, 0, true); // compression: stored
+    local.setUint16(10, 0, true); // modification time
+    local.setUint16(12, 0x21, true); // modification date (1. 1. 1980)
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true); // compressed size
+    local.setUint32(22, data.length, true); // uncompressed size
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true); // extra field length
+    localParts.push(new Uint8Array(local.buffer), name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // central directory header signature
+    central.setUint16(4, 20, true); // version made by
+    central.setUint16(6, 20, true); // version needed to extract
+    central.setUint16(8, 0, true); // flags
+    central.setUint16(10, 0, true); // compression: stored
+    central.setUint16(12, 0, true); // modification time
+    central.setUint16(14, 0x21, true); // modification date
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    // extra field length, comment length, disk number, attributes are zero
+    central.setUint32(42, offset, true); // offset of the local header
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // end of central directory signature
+  end.setUint16(8, files.length, true); // entries on this disk
+  end.setUint16(10, files.length, true); // entries in total
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true); // offset of the central directory
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+}
+
+// Lookup table of the CRC-32 checksum, computed on first use
+var CRC32_TABLE = null;
+
+/**
+ * Compute the CRC-32 checksum of the data (as required by the ZIP format).
+ * @param {Uint8Array} data - The data.
+ * @returns {number} - The checksum as an unsigned 32-bit number.
+ */
+function crc32(data) {
+  if (!CRC32_TABLE) {
+    CRC32_TABLE = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      CRC32_TABLE[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC32_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
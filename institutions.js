@@ -0,0 +1,166 @@
+/**
+ * Declension of the names of Czech courts and authorities for the ISNSS Extractor.
+ *
+ * The name is declined by its head phrase: the leading adjectives and the first known noun
+ * (e.g. "Krajský úřad" in "Krajský úřad Jihomoravského kraje"); the rest of the name is already
+ * in the right form and is kept. Parts of the name separated by a comma or a dash
+ * (e.g. "pobočka v Liberci") are declined the same way if their head is known.
+ *
+ * Author: Oldřich Tristan Florian
+ * Website: https://otflorian.com
+ *
+ */
+
+// Nouns heading the names of courts and authorities with their gender (m = masculine inanimate,
+// ma = masculine animate, f = feminine, n = neuter) and forms in the grammatical cases 1-7.
+// Declared with var so that the script can be injected repeatedly
+var INSTITUTION_NOUNS = {
+    'soud': { gender: 'm', forms: ['soud', 'soudu', 'soudu', 'soud', 'soude', 'soudu', 'soudem'] },
+    'úřad': { gender: 'm', forms: ['úřad', 'úřadu', 'úřadu', 'úřad', 'úřade', 'úřadu', 'úřadem'] },
+    'magistrát': { gender: 'm', forms: ['magistrát', 'magistrátu', 'magistrátu', 'magistrát', 'magistráte', 'magistrátu', 'magistrátem'] },
+    'inspektorát': { gender: 'm', forms: ['inspektorát', 'inspektorátu', 'inspektorátu', 'inspektorát', 'inspektoráte', 'inspektorátu', 'inspektorátem'] },
+    'ústav': { gender: 'm', forms: ['ústav', 'ústavu', 'ústavu', 'ústav', 'ústave', 'ústavu', 'ústavem'] },
+    'odbor': { gender: 'm', forms: ['odbor', 'odboru', 'odboru', 'odbor', 'odbore', 'odboru', 'odborem'] },
+    'fond': { gender: 'm', forms: ['fond', 'fondu', 'fondu', 'fond', 'fonde', 'fondu', 'fondem'] },
+    'ochránce': { gender: 'ma', forms: ['ochránce', 'ochránce', 'ochránci', 'ochránce', 'ochránce', 'ochránci', 'ochráncem'] },
+    'ministr': { gender: 'ma', forms: ['ministr', 'ministra', 'ministrovi', 'ministra', 'ministře', 'ministrovi', 'ministrem'] },
+    'předseda': { gender: 'ma', forms: ['předseda', 'předsedy', 'předsedovi', 'předsedu', 'předsedo', 'předsedovi', 'předsedou'] },
+    'prezident': { gender: 'ma', forms: ['prezident', 'prezidenta', 'prezidentovi', 'prezidenta', 'prezidente', 'prezidentovi', 'prezidentem'] },
+    'ministerstvo': { gender: 'n', forms: ['ministerstvo', 'ministerstva', 'ministerstvu', 'ministerstvo', 'ministerstvo', 'ministerstvu', 'ministerstvem'] },
+    'zastupitelstvo': { gender: 'n', forms: ['zastupitelstvo', 'zastupitelstva', 'zastupitelstvu', 'zastupitelstvo', 'zastupitelstvo', 'zastupitelstvu', 'zastupitelstvem'] },
+    'město': { gender: 'n', forms: ['město', 'města', 'městu', 'město', 'město', 'městě', 'městem'] },
+    'ředitelství': { gender: 'n', forms: ['ředitelství', 'ředitelství', 'ředitelství', 'ředitelství', 'ředitelství', 'ředitelství', 'ředitelstvím'] },
+    'velitelství': { gender: 'n', forms: ['velitelství', 'velitelství', 'velitelství', 'velitelství', 'velitelství', 'velitelství', 'velitelstvím'] },
+    'zastupitelství': { gender: 'n', forms: ['zastupitelství', 'zastupitelství', 'zastupitelství', 'zastupitelství', 'zastupitelství', 'zastupitelství', 'zastupitelstvím'] },
+    'oddělení': { gender: 'n', forms: ['oddělení', 'oddělení', 'oddělení', 'oddělení', 'oddělení', 'oddělení', 'oddělením'] },
+    'policie': { gender: 'f', forms: ['policie', 'policie', 'policii', 'policii', 'policie', 'policii', 'policií'] },
+    'inspekce': { gender: 'f', forms: ['inspekce', 'inspekce', 'inspekci', 'inspekci', 'inspekce', 'inspekci', 'inspekcí'] },
+    'komise': { gender: 'f', forms: ['komise', 'komise', 'komisi', 'komisi', 'komise', 'komisi', 'komisí'] },
+    'stanice': { gender: 'f', forms: ['stanice', 'stanice', 'stanici', 'stanici', 'stanice', 'stanici', 'stanicí'] },
+    'ministryně': { gender: 'f', forms: ['ministryně', 'ministryně', 'ministryni', 'ministryni', 'ministryně', 'ministryni', 'ministryní'] },
+    'předsedkyně': { gender: 'f', forms: ['předsedkyně', 'předsedkyně', 'předsedkyni', 'předsedkyni', 'předsedkyně', 'předsedkyni', 'předsedkyní'] },
+    'rada': { gender: 'f', forms: ['rada', 'rady', 'radě', 'radu', 'rado', 'radě', 'radou'] },
+    'správa': { gender: 'f', forms: ['správa', 'správy', 'správě', 'správu', 'správo', 'správě', 'správou'] },
+    'vláda': { gender: 'f', forms: ['vláda', 'vlády', 'vládě', 'vládu', 'vládo', 'vládě', 'vládou'] },
+    'banka': { gender: 'f', forms: ['banka', 'banky', 'bance', 'banku', 'banko', 'bance', 'bankou'] },
+    'agentura': { gender: 'f', forms: ['agentura', 'agentury', 'agentuře', 'agenturu', 'agenturo', 'agentuře', 'agenturou'] },
+    'komora': { gender: 'f', forms: ['komora', 'komory', 'komoře', 'komoru', 'komoro', 'komoře', 'komorou'] },
+    'pojišťovna': { gender: 'f', forms: ['pojišťovna', 'pojišťovny', 'pojišťovně', 'pojišťovnu', 'pojišťovno', 'pojišťovně', 'pojišťovnou'] },
+    'republika': { gender: 'f', forms: ['republika', 'republiky', 'republice', 'republiku', 'republiko', 'republice', 'republikou'] },
+    'pobočka': { gender: 'f', forms: ['pobočka', 'pobočky', 'pobočce', 'pobočku', 'pobočko', 'pobočce', 'pobočkou'] },
+    'obec': { gender: 'f', forms: ['obec', 'obce', 'obci', 'obec', 'obci', 'obci', 'obcí'] },
+    'část': { gender: 'f', forms: ['část', 'části', 'části', 'část', 'části', 'části', 'částí'] },
+    'kancelář': { gender: 'f', forms: ['kancelář', 'kanceláře', 'kanceláři', 'kancelář', 'kanceláři', 'kanceláři', 'kanceláří'] }
+};
+
+// Names which are not declined by their head phrase, with the forms in the grammatical cases 1-7
+var INSTITUTION_EXCEPTIONS = {
+    'Hlavní město Praha': ['Hlavní město Praha', 'Hlavního města Prahy', 'Hlavnímu městu Praze', 'Hlavní město Prahu', 'Hlavní město Praho', 'Hlavním městě Praze', 'Hlavním městem Prahou']
+};
+
+// Endings of the adjectives in the grammatical cases 1-7 by the gender of the noun
+var INSTITUTION_ADJECTIVE_ENDINGS = {
+    hard: {
+        m: ['ý', 'ého', 'ému', 'ý', 'ý', 'ém', 'ým'],
+        ma: ['ý', 'ého', 'ému', 'ého', 'ý', 'ém', 'ým'],
+        f: ['á', 'é', 'é', 'ou', 'á', 'é', 'ou'],
+        n: ['é', 'ého', 'ému', 'é', 'é', 'ém', 'ým']
+    },
+    soft: {
+        m: ['í', 'ího', 'ímu', 'í', 'í', 'ím', 'ím'],
+        ma: ['í', 'ího', 'ímu', 'ího', 'í', 'ím', 'ím'],
+        f: ['í', 'í', 'í', 'í', 'í', 'í', 'í'],
+        n: ['í', 'ího', 'ímu', 'í', 'í', 'ím', 'ím']
+    }
+};
+
+/**
+ * Decline the name of a court or an authority.
+ * @param {string} name - The name in the nominative (e.g. "Krajský soud v Ústí nad Labem – pobočka v Liberci").
+ * @param {number} grammaticalCase - The grammatical case (1-7).
+ * @returns {string|null} - The declined name or null if the head of the name is not known.
+ */
+function declineInstitutionName(name, grammaticalCase) {
+    const trimmedName = (name || '').trim();
+    if (INSTITUTION_EXCEPTIONS[trimmedName]) {
+        return INSTITUTION_EXCEPTIONS[trimmedName][grammaticalCase - 1];
+    }
+
+    // Odd items are the separators, which are kept
+    const parts = trimmedName.split(/(,\s+|\s+[–-]\s+)/);
+    const declinedFirst = declineInstitutionPart(parts[0], grammaticalCase);
+    if (declinedFirst === null) {
+        return null;
+    }
+    return parts.map((part, index) => {
+        if (index === 0) return declinedFirst;
+        if (index % 2 === 1) return part;
+        return declineInstitutionPart(part, grammaticalCase) ?? part;
+    }).join('');
+}
+
+/**
+ * Decline one part of the name of an institution by its head phrase.
+ * @param {string} part - The part of the name (e.g. "pobočka v Liberci").
+ * @param {number} grammaticalCase - The grammatical case (1-7).
+ * @returns {string|null} - The declined part or null if its head is not known.
+ */
+function declineInstitutionPart(part, grammaticalCase) {
+    const words = part.split(' ');
+    const nounIndex = words.findIndex(word => INSTITUTION_NOUNS[word.toLowerCase()]);
+    if (nounIndex === -1) {
+        return null;
+    }
+    const noun = INSTITUTION_NOUNS[words[nounIndex].toLowerCase()];
+
+    const declined = [];
+    for (const [index, word] of words.entries()) {
+        if (index < nounIndex) {
+            if (word === 'a') {
+                declined.push(word);
+                continue;
+            }
+            const adjective = declineInstitutionAdjective(word, noun.gender, grammaticalCase);
+            if (adjective === null) {
+                return null;
+            }
+            declined.push(adjective);
+        } else if (index === nounIndex) {
+            declined.push(matchCapitalization(noun.forms[grammaticalCase - 1], word));
+        } else {
+            declined.push(word);
+        }
+    }
+    return declined.join(' ');
+}
+
+/**
+ * Decline an adjective agreeing with the head noun of an institution.
+ * @param {string} adjective - The adjective in the nominative (e.g. "Krajský").
+ * @param {string} gender - The gender of the noun ("m", "ma", "f" or "n").
+ * @param {number} grammaticalCase - The grammatical case (1-7).
+ * @returns {string|null} - The declined adjective or null if the word is not an adjective of the right gender.
+ */
+function declineInstitutionAdjective(adjective, gender, grammaticalCase) {
+    const ending = adjective.slice(-1);
+    let type = null;
+    if (ending === 'í') {
+        type = 'soft';
+    } else if (ending === INSTITUTION_ADJECTIVE_ENDINGS.hard[gender][0]) {
+        type = 'hard';
+    }
+    if (type === null || adjective.length < 3) {
+        return null;
+    }
+    return adjective.slice(0, -1) + INSTITUTION_ADJECTIVE_ENDINGS[type][gender][grammaticalCase - 1];
+}
+
+/**
+ * Capitalise a word like the original word.
+ * @param {string} word - The word to capitalise.
+ * @param {string} original - The original word.
+ * @returns {string} - The word with the first letter capitalised if the original one was.
+ */
+function matchCapitalization(word, original) {
+    return original[0] !== original[0].toLowerCase() ? word.charAt(0).toUpperCase() + word.slice(1) : word;
+}
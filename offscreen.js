@@ -0,0 +1,50 @@
+/**
+ * Offscreen document of the ISNSS Extractor running the batch mode.
+ *
+ * The background script creates the document for the duration of one batch, so that the batch does not depend on
+ * the popup (which is closed by any click outside of it) or on an open ISNSS tab. The cases are fetched and parsed
+ * by content.js loaded into this document; the output is handed to the background script as an object URL, which
+ * the background script downloads and then asks this document to release.
+ *
+ * Author: Oldřich Tristan Florian
+ * Website: https://otflorian.com
+ *
+ */
+
+// Files downloaded by the batch mode by the output format
+const BATCH_FILE_TYPES = {
+  text: { extension: "txt", type: "text/plain" },
+  csv: { extension: "csv", type: "text/csv" },
+  json: { extension: "json", type: "application/json" }
+};
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action === "runBatch") {
+    // The message of the background script carries the options of the extraction like the message of the popup
+    handleMessage({ ...message, action: "extractBatch" }, {}, (response) => {
+      const { text, ...result } = response;
+      const file = response.success ? createBatchFile(text, message.format) : {};
+      chrome.runtime.sendMessage({ ...result, ...file, action: "batchDone" });
+    });
+  }
+  if (message.action === "releaseBatchFile") {
+    URL.revokeObjectURL(message.url);
+    sendResponse({ success: true });
+  }
+});
+
+/**
+ * Create the file with the output of the batch mode.
+ * An object URL is used because a data URL of a large batch (e.g. the JSON models of many cases) would exceed
+ * the length limit of URLs in Chrome.
+ * @param {string} text - The output of the batch mode.
+ * @param {string} format - The output format ("text", "csv" or "json").
+ * @returns {object} - The object URL of the file (valid until the releaseBatchFile message) and the file name.
+ */
+function createBatchFile(text, format) {
+  const fileType = BATCH_FILE_TYPES[format] || BATCH_FILE_TYPES.text;
+  // Excel recognises UTF-8 in a CSV file only by the byte order mark
+  const content = format === "csv" ? `\uFEFF${text}` : text;
+  const blob = new Blob([content], { type: `${fileType.type};charset=utf-8` });
+  return { url: URL.createObjectURL(blob), fileName: `hromadne-zpracovani.${fileType.extension}` };
+}
@@ -1,10 +1,26 @@
 document.addEventListener('DOMContentLoaded', function () {
   const extractButton = document.getElementById("extractButton");
-  const toggleFormat = document.getElementById("toggleFormat");
-  const prefixFormat = document.getElementById("prefixFormat");
-  const plaintiffDefendantFormat = document.getElementById("plaintiffDefendantFormat");
-  const inflectFormat = document.getElementById("inflectFormat");
   const statusMessage = document.getElementById("statusMessage");
+  const headerTemplate = document.getElementById("headerTemplate");
+  const previewContainer = document.getElementById("previewContainer");
+  const preview = document.getElementById("preview");
+  const copyButton = document.getElementById("copyButton");
+  const warningList = document.getElementById("warningList");
+  const selectorProfile = document.getElementById("selectorProfile");
+  const ageReference = document.getElementById("ageReference");
+  const decisionDate = document.getElementById("decisionDate");
+
+  const saveTemplate = setupTemplateEditor(headerTemplate, statusMessage);
+  const saveSelectorProfile = setupSelectorProfileEditor(selectorProfile, statusMessage);
+  const readSettings = setupSettings(headerTemplate, saveTemplate, selectorProfile, saveSelectorProfile, statusMessage);
+  setupAgeReference(ageReference, decisionDate);
+  setupImportTab(statusMessage);
+
+  // Options of the extraction shared by the single extraction, the exports and the batch mode
+  const getExtractionOptions = () => buildExtractionOptions(sanitizeSettings(readSettings()), headerTemplate.dataset.saved, selectorProfile.dataset.saved);
+  setupJsonExport(getExtractionOptions, statusMessage);
+  setupBatch(getExtractionOptions, statusMessage);
+  setupDocxExport(preview, statusMessage);
 
   if (extractButton) {
     extractButton.addEventListener("click", () => {
@@ -12,28 +28,36 @@ document.addEventListener('DOMContentLoaded', function () {
       statusMessage.textContent = "Čekejte...";
       statusMessage.className = "status-message";
 
-      const includeVRizeni = toggleFormat.checked;
-      const selectedPrefixFormat = prefixFormat.checked ? "č. j." : "čj.";
-      const useNavrhovatel = plaintiffDefendantFormat.checked ? "true" : "false";
-      const inflectText = inflectFormat.checked;
-
       chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
         const activeTab = tabs[0];
+        if (!isSvInfoUrl(activeTab.url)) {
+          showStatusMessage(statusMessage, "Otevřete stránku věci (SVInfo) v ISNSS.", "error");
+          return;
+        }
         chrome.scripting.executeScript({
           target: { tabId: activeTab.id },
-          files: ["content.js"]
+          files: CONTENT_SCRIPT_FILES
         }, () => {
           chrome.tabs.sendMessage(activeTab.id, {
             action: "extractInfo",
-            includeVRizeni: includeVRizeni,
-            prefixFormat: selectedPrefixFormat,
-            useNavrhovatel: useNavrhovatel,
-            inflectText: inflectText
+            ...getExtractionOptions(),
+            copy: false
           }, (response) => {
             console.log("Response from content script:", response); // Debug log
             if (response && response.success) {
-              statusMessage.textContent = "Text úspěšně zkopírován do schránky.";
-              statusMessage.className = "status-message success";
+              const suspiciousCount = showPreview(preview, response.html);
+              // The file name of the exported document
+              preview.dataset.caseNumber = response.caseNumber || "";
+              showWarnings(warningList, response.warnings || []);
+              previewContainer.style.display = 'block';
+              preview.focus();
+              if (suspiciousCount > 0) {
+                statusMessage.textContent = `Zkontrolujte zvýrazněné části (${suspiciousCount}) a text zkopírujte.`;
+                statusMessage.className = "status-message error";
+              } else {
+                statusMessage.textContent = "Zkontrolujte text a zkopírujte jej.";
+                statusMessage.className = "status-message success";
+              }
             } else {
               const errorMessage = response ? response.error : "No response from content script";
               statusMessage.innerHTML = `Chyba při kopírování textu: ${errorMessage}<br><button id="copyError">Zkopírovat chybovou zprávu</button>`;
@@ -53,6 +77,35 @@ document.addEventListener('DOMContentLoaded', function () {
     });
   }
 
+  document.getElementById("clearCache").addEventListener("click", () => {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      chrome.tabs.sendMessage(tabs[0].id, { action: "clearCache" }, (response) => {
+        // Without a response the content script has not been injected yet, so there is nothing cached
+        void chrome.runtime.lastError;
+        const cleared = response && response.success ? response.cleared : 0;
+        showStatusMessage(statusMessage, `Mezipaměť vymazána (${cleared} stránek osob).`, "success");
+      });
+    });
+  });
+
+  const copyPreview = () => {
+    copyPreviewToClipboard(preview).then(() => {
+      showStatusMessage(statusMessage, "Text úspěšně zkopírován do schránky.", "success");
+    }).catch(err => {
+      showStatusMessage(statusMessage, `Chyba při kopírování textu: ${err}`, "error");
+    });
+  };
+
+  copyButton.addEventListener("click", copyPreview);
+
+  // Ctrl+Enter copies the previewed text
+  document.addEventListener("keydown", (event) => {
+    if (event.key === "Enter" && (event.ctrlKey || event.metaKey) && previewContainer.style.display === 'block') {
+      event.preventDefault();
+      copyPreview();
+    }
+  });
+
   // Handle link clicks
   const externalLinks = document.querySelectorAll('.external-link');
   externalLinks.forEach(link => {
@@ -62,3 +115,552 @@ document.addEventListener('DOMContentLoaded', function () {
     });
   });
 });
+
+/**
+ * Set up the header template editor (load, save, reset, export and import).
+ * The saved template is kept in the data-saved attribute of the textarea; an empty value means the default template.
+ * @param {HTMLTextAreaElement} headerTemplate - The template textarea.
+ * @param {HTMLElement} statusMessage - The element for status messages.
+ * @returns {function} - The function saving a template.
+ */
+function setupTemplateEditor(headerTemplate, statusMessage) {
+  const showStatus = (text, className) => showStatusMessage(statusMessage, text, className);
+
+  const saveTemplate = (template) => {
+    const value = template.trim() === DEFAULT_HEADER_TEMPLATE ? "" : template.trim();
+    chrome.storage.sync.set({ headerTemplate: value }, () => {
+      if (chrome.runtime.lastError) {
+        showStatus(`Šablonu se nepodařilo uložit: ${chrome.runtime.lastError.message}`, "error");
+        return;
+      }
+      headerTemplate.dataset.saved = value;
+      headerTemplate.value = value || DEFAULT_HEADER_TEMPLATE;
+      showStatus("Šablona uložena.", "success");
+    });
+  };
+
+  chrome.storage.sync.get({ headerTemplate: "" }, (items) => {
+    headerTemplate.dataset.saved = items.headerTemplate;
+    headerTemplate.value = items.headerTemplate || DEFAULT_HEADER_TEMPLATE;
+  });
+
+  const placeholderList = document.getElementById("templatePlaceholders");
+  Object.entries(HEADER_TEMPLATE_PLACEHOLDERS).forEach(([name, description]) => {
+    const item = document.createElement("li");
+    item.textContent = `{{${name}}} – ${description}`;
+    placeholderList.appendChild(item);
+  });
+
+  document.getElementById("saveTemplate").addEventListener("click", () => {
+    saveTemplate(headerTemplate.value);
+  });
+
+  document.getElementById("resetTemplate").addEventListener("click", () => {
+    saveTemplate(DEFAULT_HEADER_TEMPLATE);
+  });
+
+  document.getElementById("exportTemplate").addEventListener("click", () => {
+    downloadFile(headerTemplate.value, "sablona-zahlavi.txt", "text/plain");
+  });
+
+  const importFile = document.getElementById("importTemplateFile");
+  document.getElementById("importTemplate").addEventListener("click", () => {
+    chooseImportFile(importFile);
+  });
+  importFile.addEventListener("change", () => {
+    const file = importFile.files[0];
+    if (!file) return;
+    file.text().then(saveTemplate).catch(err => {
+      showStatus(`Šablonu se nepodařilo načíst: ${err}`, "error");
+    });
+    importFile.value = "";
+  });
+
+  return saveTemplate;
+}
+
+/**
+ * Set up the selector profile editor (load, save, reset and check against the open ISNSS page).
+ * The saved overrides are kept in the data-saved attribute of the textarea; an empty value means the default profile.
+ * @param {HTMLTextAreaElement} selectorProfile - The selector profile textarea.
+ * @param {HTMLElement} statusMessage - The element for status messages.
+ * @returns {function} - The function saving a selector profile.
+ */
+function setupSelectorProfileEditor(selectorProfile, statusMessage) {
+  const showStatus = (text, className) => showStatusMessage(statusMessage, text, className);
+  const defaultProfile = JSON.stringify(DEFAULT_SELECTOR_PROFILE, null, 2);
+
+  // Parse and validate the profile, report the problems
+  const parseProfile = (text) => {
+    let overrides;
+    try {
+      overrides = JSON.parse(text);
+    } catch (err) {
+      showStatus(`Profil selektorů není platný JSON: ${err.message}`, "error");
+      return null;
+    }
+    const problems = validateSelectorOverrides(overrides);
+    if (problems.length > 0) {
+      showStatus(`Profil selektorů nelze použít: ${problems.join(" ")}`, "error");
+      return null;
+    }
+    return overrides;
+  };
+
+  const saveSelectorProfile = (text) => {
+    const overrides = parseProfile(text);
+    if (!overrides) return;
+    const merged = mergeSelectorProfile(DEFAULT_SELECTOR_PROFILE, overrides);
+    const value = JSON.stringify(merged) === JSON.stringify(DEFAULT_SELECTOR_PROFILE) ? "" : JSON.stringify(overrides);
+    chrome.storage.sync.set({ selectorProfile: value }, () => {
+      if (chrome.runtime.lastError) {
+        showStatus(`Profil selektorů se nepodařilo uložit: ${chrome.runtime.lastError.message}`, "error");
+        return;
+      }
+      selectorProfile.dataset.saved = value;
+      selectorProfile.value = value ? JSON.stringify(overrides, null, 2) : defaultProfile;
+      showStatus("Profil selektorů uložen.", "success");
+    });
+  };
+
+  chrome.storage.sync.get({ selectorProfile: "" }, (items) => {
+    selectorProfile.dataset.saved = items.selectorProfile;
+    const overrides = getSelectorOverrides(selectorProfile);
+    if (!items.selectorProfile) {
+      selectorProfile.value = defaultProfile;
+    } else if (overrides) {
+      selectorProfile.value = JSON.stringify(overrides, null, 2);
+    } else {
+      // Show the saved text as it is, so that it can be corrected
+      selectorProfile.value = items.selectorProfile;
+      showStatus("Uložený profil selektorů není platný nebo je určen pro jinou verzi rozšíření, proto se nepoužije.", "error");
+    }
+  });
+
+  document.getElementById("saveSelectorProfile").addEventListener("click", () => {
+    saveSelectorProfile(selectorProfile.value);
+  });
+
+  document.getElementById("resetSelectorProfile").addEventListener("click", () => {
+    saveSelectorProfile(defaultProfile);
+  });
+
+  // The edited profile is checked before saving, so that a fix can be tried out first
+  document.getElementById("checkSelectorProfile").addEventListener("click", () => {
+    const overrides = parseProfile(selectorProfile.value);
+    if (!overrides) return;
+    const selfCheckList = document.getElementById("selfCheckList");
+    showStatus("Čekejte...", "");
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      const activeTab = tabs[0];
+      chrome.scripting.executeScript({
+        target: { tabId: activeTab.id },
+        files: CONTENT_SCRIPT_FILES
+      }, () => {
+        chrome.tabs.sendMessage(activeTab.id, { action: "selfCheck", selectorProfile: overrides }, (response) => {
+          if (!response || !response.success) {
+            const errorMessage = response ? response.error : "No response from content script";
+            showStatus(`Chyba při ověřování stránky: ${errorMessage}`, "error");
+            return;
+          }
+          showWarnings(selfCheckList, response.problems, "Selektor");
+          if (response.problems.length === 0) {
+            showStatus("Všechny prvky profilu byly na stránce nalezeny.", "success");
+          } else {
+            showStatus(`Počet problémů: ${response.problems.length}. Najetím myši na problém se zobrazí selektor.`, "error");
+          }
+        });
+      });
+    });
+  });
+
+  return saveSelectorProfile;
+}
+
+/**
+ * Get the saved selector profile overrides to be sent to the content script.
+ * @param {HTMLTextAreaElement} selectorProfile - The selector profile textarea.
+ * @returns {object|null} - The overrides or null if there are none (or they cannot be used).
+ */
+function getSelectorOverrides(selectorProfile) {
+  return parseSelectorOverrides(selectorProfile.dataset.saved);
+}
+
+/**
+ * Set up persisting of the settings (restore, save on change, reset, export and import).
+ * Every control with the data-setting attribute is persisted under its ID.
+ * @param {HTMLTextAreaElement} headerTemplate - The template textarea (the template is exported with the settings).
+ * @param {function} saveTemplate - The function saving a template.
+ * @param {HTMLTextAreaElement} selectorProfile - The selector profile textarea (the profile is exported with the settings).
+ * @param {function} saveSelectorProfile - The function saving a selector profile.
+ * @param {HTMLElement} statusMessage - The element for status messages.
+ * @returns {function} - The function reading the settings from the controls.
+ */
+function setupSettings(headerTemplate, saveTemplate, selectorProfile, saveSelectorProfile, statusMessage) {
+  const controls = document.querySelectorAll("[data-setting]");
+
+  const readSettings = () => {
+    const settings = {};
+    controls.forEach(control => {
+      if (control.type === "checkbox") {
+        settings[control.id] = control.checked;
+      } else if (control.type === "number") {
+        settings[control.id] = Number(control.value);
+      } else {
+        settings[control.id] = control.value;
+      }
+    });
+    return settings;
+  };
+
+  const applySettings = (settings) => {
+    controls.forEach(control => {
+      if (!(control.id in settings)) return;
+      if (control.type === "checkbox") {
+        control.checked = settings[control.id];
+      } else {
+        control.value = settings[control.id];
+      }
+    });
+  };
+
+  loadSettings(applySettings);
+
+  controls.forEach(control => {
+    control.addEventListener("change", () => saveSettings(readSettings()));
+  });
+
+  document.getElementById("resetSettings").addEventListener("click", () => {
+    applySettings(DEFAULT_SETTINGS);
+    saveSettings(DEFAULT_SETTINGS, () => {
+      showStatusMessage(statusMessage, "Nastavení obnoveno na výchozí hodnoty.", "success");
+    });
+  });
+
+  document.getElementById("exportSettings").addEventListener("click", () => {
+    const data = {
+      version: SETTINGS_EXPORT_VERSION,
+      settings: readSettings(),
+      headerTemplate: headerTemplate.dataset.saved || "",
+      selectorProfile: selectorProfile.dataset.saved || ""
+    };
+    downloadFile(JSON.stringify(data, null, 2), "nastaveni-generatoru-zahlavi.json", "application/json");
+  });
+
+  const importFile = document.getElementById("importSettingsFile");
+  document.getElementById("importSettings").addEventListener("click", () => {
+    chooseImportFile(importFile);
+  });
+  importFile.addEventListener("change", () => {
+    const file = importFile.files[0];
+    if (!file) return;
+    file.text().then(text => {
+      const data = JSON.parse(text);
+      if (!data || typeof data.settings !== "object") {
+        throw new Error("Soubor neobsahuje nastavení.");
+      }
+      const settings = sanitizeSettings(data.settings);
+      applySettings(settings);
+      saveSettings(settings, () => {
+        showStatusMessage(statusMessage, "Nastavení načteno.", "success");
+      });
+      if (typeof data.headerTemplate === "string") {
+        saveTemplate(data.headerTemplate || DEFAULT_HEADER_TEMPLATE);
+      }
+      if (typeof data.selectorProfile === "string") {
+        saveSelectorProfile(data.selectorProfile || JSON.stringify(DEFAULT_SELECTOR_PROFILE));
+      }
+    }).catch(err => {
+      showStatusMessage(statusMessage, `Nastavení se nepodařilo načíst: ${err.message}`, "error");
+    });
+    importFile.value = "";
+  });
+
+  return readSettings;
+}
+
+/**
+ * Enable the date of the NSS decision only if the ages are calculated against it.
+ * @param {HTMLSelectElement} ageReference - The select with the date against which the ages are calculated.
+ * @param {HTMLInputElement} decisionDate - The input with the date of the NSS decision.
+ */
+function setupAgeReference(ageReference, decisionDate) {
+  const update = () => {
+    decisionDate.disabled = ageReference.value !== "decision";
+  };
+  ageReference.addEventListener("change", update);
+  // The saved settings are applied asynchronously
+  loadSettings(update);
+  update();
+}
+
+/**
+ * Set up the export of the extracted case model as JSON (copy to the clipboard or download).
+ * @param {function} getExtractionOptions - Returns the options of the extraction from the popup settings.
+ * @param {HTMLElement} statusMessage - The element for status messages.
+ */
+function setupJsonExport(getExtractionOptions, statusMessage) {
+  const exportModel = (handleJson) => {
+    showStatusMessage(statusMessage, "Čekejte...", "");
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      const activeTab = tabs[0];
+      chrome.scripting.executeScript({
+        target: { tabId: activeTab.id },
+        files: CONTENT_SCRIPT_FILES
+      }, () => {
+        chrome.tabs.sendMessage(activeTab.id, {
+          action: "extractModel",
+          ...getExtractionOptions()
+        }, (response) => {
+          if (!response || !response.success) {
+            const errorMessage = response ? response.error : "No response from content script";
+            showStatusMessage(statusMessage, `Chyba při exportu dat: ${errorMessage}`, "error");
+            return;
+          }
+          handleJson(JSON.stringify(response.model, null, 2), response.model);
+        });
+      });
+    });
+  };
+
+  document.getElementById("copyJson").addEventListener("click", () => {
+    exportModel((json) => {
+      navigator.clipboard.writeText(json).then(() => {
+        showStatusMessage(statusMessage, "Data ve formátu JSON úspěšně zkopírována do schránky.", "success");
+      }).catch(err => {
+        showStatusMessage(statusMessage, `Chyba při kopírování dat: ${err}`, "error");
+      });
+    });
+  });
+
+  document.getElementById("downloadJson").addEventListener("click", () => {
+    exportModel((json, model) => {
+      const caseNumber = (model.caseNumber || "vec").replace(/\W+/g, "-").replace(/^-|-$/g, "");
+      downloadFile(json, `${caseNumber}.json`, "application/json");
+      showStatusMessage(statusMessage, "Data ve formátu JSON stažena.", "success");
+    });
+  });
+}
+
+/**
+ * Set up the export of the previewed header into a Word document (see docx.js). The document contains the header
+ * including the edits made in the preview.
+ * @param {HTMLElement} preview - The editable preview of the header.
+ * @param {HTMLElement} statusMessage - The element for status messages.
+ */
+function setupDocxExport(preview, statusMessage) {
+  document.getElementById("downloadDocx").addEventListener("click", () => {
+    const caseNumber = (preview.dataset.caseNumber || "zahlavi").replace(/\W+/g, "-").replace(/^-|-$/g, "");
+    downloadFile(createDocx(getPreviewContent(preview).innerHTML), `${caseNumber}.docx`, DOCX_MIME_TYPE);
+    showStatusMessage(statusMessage, "Dokument stažen.", "success");
+  });
+}
+
+/**
+ * Set up the batch mode: the listed cases are extracted in the background (see startBatch in background.js)
+ * and the combined output is downloaded even if the popup is closed in the meantime.
+ * @param {function} getExtractionOptions - Returns the options of the extraction from the popup settings.
+ * @param {HTMLElement} statusMessage - The element for status messages.
+ */
+function setupBatch(getExtractionOptions, statusMessage) {
+  const batchInput = document.getElementById("batchInput");
+  const batchFormat = document.getElementById("batchFormat");
+  const batchSearchUrl = document.getElementById("batchSearchUrl");
+  const runBatch = document.getElementById("runBatch");
+
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action === "batchProgress") {
+      showStatusMessage(statusMessage, `Zpracováno ${message.done} z ${message.total} věcí...`, "");
+    }
+    if (message.action === "batchDone") {
+      runBatch.disabled = false;
+      if (!message.success) {
+        showStatusMessage(statusMessage, `Chyba při hromadném zpracování: ${message.error}`, "error");
+        return;
+      }
+      showStatusMessage(statusMessage, message.summary, message.counts.error > 0 ? "error" : "success");
+    }
+  });
+
+  runBatch.addEventListener("click", () => {
+    if (!batchInput.value.trim()) {
+      showStatusMessage(statusMessage, "Zadejte pId nebo spisové značky věcí.", "error");
+      return;
+    }
+    runBatch.disabled = true;
+    chrome.runtime.sendMessage({
+      action: "startBatch",
+      ...getExtractionOptions(),
+      input: batchInput.value,
+      format: batchFormat.value,
+      searchUrl: batchSearchUrl.value.trim()
+    }, (response) => {
+      if (!response || !response.success) {
+        runBatch.disabled = false;
+        const errorMessage = response ? response.error : chrome.runtime.lastError?.message;
+        showStatusMessage(statusMessage, `Chyba při hromadném zpracování: ${errorMessage}`, "error");
+        return;
+      }
+      showStatusMessage(statusMessage, "Zpracování běží na pozadí. Výsledek se stáhne, i když okno rozšíření zavřete.", "");
+    });
+  });
+}
+
+/**
+ * Show a status message in the popup.
+ * @param {HTMLElement} statusMessage - The element for status messages.
+ * @param {string} text - The message.
+ * @param {string} className - The type of the message ("success" or "error").
+ */
+function showStatusMessage(statusMessage, text, className) {
+  statusMessage.style.display = 'block';
+  statusMessage.textContent = text;
+  statusMessage.className = `status-message ${className}`;
+}
+
+/**
+ * Let the user download a file generated in the popup.
+ * @param {string|Blob} content - The content of the file.
+ * @param {string} fileName - The name of the file.
+ * @param {string} type - The MIME type of the file.
+ */
+function downloadFile(content, fileName, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: type });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * Let the user choose the file of an import. The file dialog would close the popup together with the import,
+ * so the popup is opened in a tab first and the user starts the import there again.
+ * @param {HTMLInputElement} fileInput - The hidden file input of the import.
+ */
+function chooseImportFile(fileInput) {
+  if (new URLSearchParams(location.search).has("import")) {
+    fileInput.click();
+  } else {
+    chrome.tabs.create({ url: `popup.html?import=${fileInput.id}` });
+  }
+}
+
+/**
+ * Prepare the popup opened in a tab for an import (see chooseImportFile): show the section of the import.
+ * @param {HTMLElement} statusMessage - The element for status messages.
+ */
+function setupImportTab(statusMessage) {
+  const fileInputId = new URLSearchParams(location.search).get("import");
+  const fileInput = fileInputId ? document.getElementById(fileInputId) : null;
+  if (!fileInput) return;
+  const section = fileInput.closest("details");
+  if (section) {
+    section.open = true;
+  }
+  fileInput.parentElement.scrollIntoView();
+  showStatusMessage(statusMessage, "Soubor vyberte znovu tlačítkem Importovat.", "");
+}
+
+/**
+ * Show the generated header in the editable preview and highlight suspicious fragments.
+ * @param {HTMLElement} preview - The editable preview element.
+ * @param {string} html - The generated header as HTML.
+ * @returns {number} - The number of highlighted fragments.
+ */
+function showPreview(preview, html) {
+  const suspiciousPatterns = [
+    { pattern: /!!![^!]*!!!/g, title: "Upozornění generátoru" },
+    { pattern: /\b(undefined|null|NaN)\b/g, title: "Chybějící hodnota" },
+    { pattern: /(bytem|se sídlem)(?=\s*(,|$))/g, title: "Chybějící adresa" },
+    { pattern: /(zast\.|proti)(?=\s*(,|$))/g, title: "Chybějící zástupce nebo napadené rozhodnutí" },
+    { pattern: /\{\{\w+\}\}/g, title: "Neznámý zástupný symbol šablony" },
+    { pattern: /…/g, title: "Chybějící údaj" }
+  ];
+
+  preview.innerHTML = html;
+
+  const walker = document.createTreeWalker(preview, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) {
+    textNodes.push(walker.currentNode);
+  }
+
+  let count = 0;
+  textNodes.forEach(node => {
+    const matches = [];
+    suspiciousPatterns.forEach(({ pattern, title }) => {
+      for (const match of node.textContent.matchAll(pattern)) {
+        matches.push({ start: match.index, end: match.index + match[0].length, title: title });
+      }
+    });
+    if (matches.length === 0) return;
+
+    // Wrap the matches from the end so that the earlier offsets stay valid
+    matches.sort((a, b) => b.start - a.start).forEach(({ start, end, title }) => {
+      if (end > node.textContent.length) return;
+      const fragment = node.splitText(start);
+      fragment.splitText(end - start);
+      const mark = document.createElement("mark");
+      mark.className = "suspicious";
+      mark.title = title;
+      fragment.parentNode.replaceChild(mark, fragment);
+      mark.appendChild(fragment);
+      count++;
+    });
+  });
+  return count;
+}
+
+/**
+ * List the warnings collected during the extraction.
+ * @param {HTMLElement} warningList - The list element.
+ * @param {array} warnings - The warnings (severity, message, party, decision and source row).
+ * @param {string} sourceLabel - The description of the source shown on hover.
+ */
+function showWarnings(warningList, warnings, sourceLabel = "Řádek v ISNSS") {
+  const severityLabels = { error: "Chyba", warning: "Upozornění", info: "Informace" };
+  warningList.textContent = "";
+  warnings.forEach(warning => {
+    const item = document.createElement("li");
+    item.className = `warning-${warning.severity}`;
+    const concerns = [warning.party, warning.decision].filter(Boolean).join(", ");
+    item.textContent = `${severityLabels[warning.severity] || warning.severity}: ${warning.message}${concerns ? ` (${concerns})` : ""}`;
+    if (warning.source) {
+      item.title = `${sourceLabel}: ${warning.source}`;
+    }
+    warningList.appendChild(item);
+  });
+}
+
+/**
+ * Get the content of the (possibly edited) preview without the highlighting.
+ * @param {HTMLElement} preview - The editable preview element.
+ * @returns {HTMLElement} - A copy of the preview element without the marks.
+ */
+function getPreviewContent(preview) {
+  const clone = preview.cloneNode(true);
+  clone.querySelectorAll("mark").forEach(mark => {
+    mark.replaceWith(...mark.childNodes);
+  });
+  return clone;
+}
+
+/**
+ * Copy the (possibly edited) preview to the clipboard as HTML and plain text without the highlighting.
+ * @param {HTMLElement} preview - The editable preview element.
+ * @returns {Promise} - Resolved when the text is copied.
+ */
+function copyPreviewToClipboard(preview) {
+  const clone = getPreviewContent(preview);
+  const html = clone.innerHTML;
+  const text = clone.textContent;
+
+  if (typeof ClipboardItem === "undefined") {
+    return navigator.clipboard.writeText(text);
+  }
+  return navigator.clipboard.write([new ClipboardItem({
+    "text/html": new Blob([html], { type: "text/html" }),
+    "text/plain": new Blob([text], { type: "text/plain" })
+  })]);
+}
@@ -0,0 +1,119 @@
+/**
+ * Selector profile of the ISNSS Extractor.
+ *
+ * All CSS selectors of the ISNSS pages and the column numbers of the grids in one place, so that a renamed
+ * ASP.NET control can be fixed in the popup settings without waiting for a new version of the extension.
+ * Shared by the content script (extraction) and the popup (editing).
+ *
+ * The version is raised whenever the structure of the profile changes; saved overrides for another
+ * version are not used.
+ *
+ * Author: Oldřich Tristan Florian
+ * Website: https://otflorian.com
+ *
+ */
+
+// Declared with var so that the script can be injected repeatedly
+var DEFAULT_SELECTOR_PROFILE = {
+    version: 1,
+    caseNumber: '#ctl00_PlaceHolderMain_ctl00_lblSpisovaZnacka',
+    grids: {
+        lowerCourtDecisions: {
+            rows: '#ctl00_PlaceHolderMain_ctl00_tabMain_TabSpravni_po10_grdSoudniVykonRizeni1Stupne .ms-vb2',
+            columns: { ref: 1, court: 2, date: 4, form: 7 }
+        },
+        defendantDecisions: {
+            rows: '#ctl00_PlaceHolderMain_ctl00_tabMain_TabSpravni_po3_grdSoudniVykonSpravniOrgan .ms-vb2',
+            columns: { caseNumber: 1, ref: 2, defendant: 3, date: 4, form: 5 }
+        },
+        parties: {
+            rows: '#ctl00_PlaceHolderMain_ctl00_tabMain_TabPanel3_po8_grdSVRoleVeSporu .ms-vb2',
+            columns: { label: 1, role: 2, person: 3, address: 4 }
+        },
+        representatives: {
+            rows: '#ctl00_PlaceHolderMain_ctl00_tabMain_TabPanel3_po8_grdSVRolekUcastnikoviVeSporu .ms-vb2',
+            columns: { subject: 1, type: 3, representative: 4, address: 5 }
+        }
+    },
+    physicalPerson: {
+        firstName: '#ctl00_PlaceHolderMain_ctl00_tabMain_tabFO_fo1_frmFO_lblJmeno',
+        lastName: '#ctl00_PlaceHolderMain_ctl00_tabMain_tabFO_fo1_frmFO_lblPrijmeni',
+        predicate: '#ctl00_PlaceHolderMain_ctl00_tabMain_tabFO_fo1_frmFO_lblPridomek',
+        birthdate: '#ctl00_PlaceHolderMain_ctl00_tabMain_tabFO_fo1_frmFO_lblDatumNarozeni',
+        nationality: '#ctl00_PlaceHolderMain_ctl00_tabMain_tabFO_fo1_frmFO_lblStatPrislusnost',
+        address: '#ctl00_PlaceHolderMain_ctl00_tabMain_tabFO_fo1_frmFO_lblAdresa',
+        titlesBefore: '#ctl00_PlaceHolderMain_ctl00_tabMain_tabFO_fo1_frmFO_lblTitulPred',
+        titlesAfter: '#ctl00_PlaceHolderMain_ctl00_tabMain_tabFO_fo1_frmFO_lblTitulZa',
+        sex: '#ctl00_PlaceHolderMain_ctl00_tabMain_tabFO_fo1_frmFO_lblPohlavi'
+    },
+    legalPerson: {
+        name: '#ctl00_PlaceHolderMain_ctl00_tabMain_tabPO_po1_frmPO_lblNazev',
+        address: '#ctl00_PlaceHolderMain_ctl00_tabMain_tabPO_po1_frmPO_lblAdresa',
+        registrationState: '#ctl00_PlaceHolderMain_ctl00_tabMain_tabPO_po1_frmPO_lblStatReg'
+    }
+};
+
+/**
+ * Merge the user's overrides into a selector profile.
+ * @param {object} profile - The base profile.
+ * @param {object} overrides - The overridden parts of the profile (may be empty).
+ * @returns {object} - The merged profile.
+ */
+function mergeSelectorProfile(profile, overrides) {
+    const result = { ...profile };
+    Object.entries(overrides || {}).forEach(([key, value]) => {
+        const isNested = value && typeof value === 'object' && profile[key] && typeof profile[key] === 'object';
+        result[key] = isNested ? mergeSelectorProfile(profile[key], value) : value;
+    });
+    return result;
+}
+
+/**
+ * Validate the user's overrides against the default profile.
+ * @param {object} overrides - The overridden parts of the profile.
+ * @returns {array} - The problems found (empty if the overrides can be used).
+ */
+function validateSelectorOverrides(overrides) {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return ['Profil musí být objekt JSON.'];
+    }
+    if (overrides.version !== DEFAULT_SELECTOR_PROFILE.version) {
+        return [`Profil je určen pro verzi ${overrides.version ?? '(neuvedena)'}, rozšíření používá verzi ${DEFAULT_SELECTOR_PROFILE.version}.`];
+    }
+
+    const problems = [];
+    const check = (value, defaultValue, path) => {
+        if (defaultValue === undefined) {
+            problems.push(`Neznámá položka „${path}“.`);
+        } else if (typeof defaultValue === 'object') {
+            if (!value || typeof value !== 'object') {
+                problems.push(`Položka „${path}“ musí být objekt.`);
+                return;
+            }
+            Object.entries(value).forEach(([key, nested]) => check(nested, defaultValue[key], `${path}.${key}`));
+        } else if (typeof value !== typeof defaultValue) {
+            problems.push(`Položka „${path}“ musí být ${typeof defaultValue === 'number' ? 'číslo sloupce' : 'text'}.`);
+        } else if (typeof defaultValue === 'number' && !(Number.isInteger(value) && value > 0)) {
+            // The columns are numbered from 1 in the nth-child selectors
+            problems.push(`Položka „${path}“ musí být kladné celé číslo sloupce.`);
+        }
+    };
+    Object.entries(overrides).forEach(([key, value]) => check(value, DEFAULT_SELECTOR_PROFILE[key], key));
+    return problems;
+}
+
+/**
+ * Parse the saved overrides (a JSON string in chrome.storage.sync).
+ * @param {string} text - The saved overrides, empty for the default profile.
+ * @returns {object|null} - The overrides or null if there are none or they cannot be used (invalid JSON or failed validation).
+ */
+function parseSelectorOverrides(text) {
+    if (!text) return null;
+    let overrides;
+    try {
+        overrides = JSON.parse(text);
+    } catch (err) {
+        return null;
+    }
+    return validateSelectorOverrides(overrides).length === 0 ? overrides : null;
+}
@@ -0,0 +1,120 @@
+/**
+ * Settings of the ISNSS Extractor.
+ *
+ * The settings are stored in chrome.storage.sync, so they follow the user across browsers.
+ * Every key of DEFAULT_SETTINGS is the ID of the popup control holding the setting.
+ *
+ * Author: Oldřich Tristan Florian
+ * Website: https://otflorian.com
+ *
+ */
+
+var DEFAULT_SETTINGS = {
+  toggleFormat: true,
+  prefixFormat: false,
+  plaintiffDefendantFormat: false,
+  inflectFormat: false,
+  inlineWarnings: false,
+  nationalityStyle: "plain",
+  fetchConcurrency: 4,
+  ageReference: "today",
+  decisionDate: "",
+  batchFormat: "text",
+  batchSearchUrl: ""
+};
+
+// Allowed range of the numeric settings (the same as min and max of their popup controls)
+var SETTING_RANGES = {
+  fetchConcurrency: { min: 1, max: 16 }
+};
+
+// Allowed values of the settings chosen from a list (the same as the options of their popup controls)
+var SETTING_OPTIONS = {
+  nationalityStyle: ["plain", "colon", "citizen"],
+  ageReference: ["today", "lowerCourt", "decision"],
+  batchFormat: ["text", "csv", "json"]
+};
+
+// Version of the exported settings file
+var SETTINGS_EXPORT_VERSION = 1;
+
+// Scripts injected into the ISNSS page before an extraction (the same as content_scripts in manifest.json)
+var CONTENT_SCRIPT_FILES = ["templates.js", "selectors.js", "institutions.js", "states.js", "content.js"];
+
+/**
+ * Load the settings merged with the defaults.
+ * @param {function} callback - Called with the settings object.
+ */
+function loadSettings(callback) {
+  chrome.storage.sync.get({ settings: {} }, (items) => {
+    callback(sanitizeSettings(items.settings));
+  });
+}
+
+/**
+ * Save the settings.
+ * @param {object} settings - The settings to save.
+ * @param {function} callback - Called when the settings are saved.
+ */
+function saveSettings(settings, callback) {
+  chrome.storage.sync.set({ settings: sanitizeSettings(settings) }, callback);
+}
+
+/**
+ * Keep only known settings of the right type, use the defaults for the rest.
+ * @param {object} settings - The settings (e.g. from an imported file).
+ * @returns {object} - The sanitized settings.
+ */
+function sanitizeSettings(settings) {
+  const result = {};
+  Object.entries(DEFAULT_SETTINGS).forEach(([key, defaultValue]) => {
+    const value = settings ? settings[key] : undefined;
+    const valid = typeof value === typeof defaultValue
+      && (typeof value !== "number" || isInRange(value, SETTING_RANGES[key]))
+      && (!SETTING_OPTIONS[key] || SETTING_OPTIONS[key].includes(value));
+    result[key] = valid ? value : defaultValue;
+  });
+  return result;
+}
+
+/**
+ * Check that a numeric setting is an integer within its range.
+ * @param {number} value - The value of the setting.
+ * @param {object} range - The allowed range ({min, max}), only positive integers are allowed if missing.
+ * @returns {boolean} - Whether the value is allowed.
+ */
+function isInRange(value, range = { min: 1, max: Infinity }) {
+  return Number.isInteger(value) && value >= range.min && value <= range.max;
+}
+
+/**
+ * Check if the URL is the page of a case (SVInfo) in ISNSS, on which the header can be extracted.
+ * @param {string} url - The URL of the tab (undefined if not known).
+ * @returns {boolean} - Whether the URL is an SVInfo page.
+ */
+function isSvInfoUrl(url) {
+  return Boolean(url) && url.includes("http://isnss/main.aspx?cls=SVInfo");
+}
+
+/**
+ * Build the options of the extraction for the content script (shared by the popup and the background script).
+ * @param {object} settings - The sanitized settings.
+ * @param {string} headerTemplate - The saved header template (empty for the default template).
+ * @param {string} selectorProfile - The saved selector profile overrides (empty for the default profile).
+ * @returns {object} - The options sent with the extraction messages (see the message listener in content.js).
+ */
+function buildExtractionOptions(settings, headerTemplate, selectorProfile) {
+  return {
+    includeVRizeni: settings.toggleFormat,
+    prefixFormat: settings.prefixFormat ? "č. j." : "čj.",
+    useNavrhovatel: settings.plaintiffDefendantFormat ? "true" : "false",
+    inflectText: settings.inflectFormat,
+    inlineWarnings: settings.inlineWarnings,
+    headerTemplate: headerTemplate || "",
+    fetchConcurrency: settings.fetchConcurrency,
+    selectorProfile: parseSelectorOverrides(selectorProfile),
+    nationalityStyle: settings.nationalityStyle,
+    ageReference: settings.ageReference,
+    decisionDate: settings.decisionDate
+  };
+}
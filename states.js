@@ -0,0 +1,158 @@
+/**
+ * Names of states for the nationality and the registration state of the parties in the ISNSS Extractor.
+ *
+ * The state names are kept as stored in ISNSS; the dictionary adds the genitive needed for
+ * "státní příslušník Ukrajiny". Stateless persons and unknown nationality get their own wording.
+ *
+ * Author: Oldřich Tristan Florian
+ * Website: https://otflorian.com
+ *
+ */
+
+// Genitive forms of the state names keyed by the name in lower case.
+// Declared with var so that the script can be injected repeatedly
+var STATE_GENITIVES = {
+    'afghánistán': 'Afghánistánu',
+    'albánie': 'Albánie',
+    'alžírsko': 'Alžírska',
+    'arménie': 'Arménie',
+    'ázerbájdžán': 'Ázerbájdžánu',
+    'bangladéš': 'Bangladéše',
+    'bělorusko': 'Běloruska',
+    'bosna a hercegovina': 'Bosny a Hercegoviny',
+    'brazílie': 'Brazílie',
+    'bulharsko': 'Bulharska',
+    'černá hora': 'Černé Hory',
+    'česká republika': 'České republiky',
+    'čína': 'Číny',
+    'čínská lidová republika': 'Čínské lidové republiky',
+    'egypt': 'Egypta',
+    'eritrea': 'Eritreje',
+    'etiopie': 'Etiopie',
+    'filipíny': 'Filipín',
+    'francie': 'Francie',
+    'gruzie': 'Gruzie',
+    'indie': 'Indie',
+    'indonésie': 'Indonésie',
+    'irák': 'Iráku',
+    'írán': 'Íránu',
+    'itálie': 'Itálie',
+    'izrael': 'Izraele',
+    'jemen': 'Jemenu',
+    'kamerun': 'Kamerunu',
+    'kazachstán': 'Kazachstánu',
+    'kolumbie': 'Kolumbie',
+    'kosovo': 'Kosova',
+    'kuba': 'Kuby',
+    'kyrgyzstán': 'Kyrgyzstánu',
+    'libanon': 'Libanonu',
+    'libye': 'Libye',
+    'maďarsko': 'Maďarska',
+    'maroko': 'Maroka',
+    'moldavsko': 'Moldavska',
+    'mongolsko': 'Mongolska',
+    'německo': 'Německa',
+    'nepál': 'Nepálu',
+    'nigérie': 'Nigérie',
+    'pákistán': 'Pákistánu',
+    'polsko': 'Polska',
+    'rakousko': 'Rakouska',
+    'rumunsko': 'Rumunska',
+    'rusko': 'Ruska',
+    'ruská federace': 'Ruské federace',
+    'severní makedonie': 'Severní Makedonie',
+    'slovensko': 'Slovenska',
+    'slovenská republika': 'Slovenské republiky',
+    'somálsko': 'Somálska',
+    'spojené království': 'Spojeného království',
+    'spojené státy americké': 'Spojených států amerických',
+    'spolková republika německo': 'Spolkové republiky Německo',
+    'srbsko': 'Srbska',
+    'srí lanka': 'Srí Lanky',
+    'súdán': 'Súdánu',
+    'sýrie': 'Sýrie',
+    'španělsko': 'Španělska',
+    'tádžikistán': 'Tádžikistánu',
+    'thajsko': 'Thajska',
+    'tunisko': 'Tuniska',
+    'turecko': 'Turecka',
+    'turkmenistán': 'Turkmenistánu',
+    'ukrajina': 'Ukrajiny',
+    'uzbekistán': 'Uzbekistánu',
+    'venezuela': 'Venezuely',
+    'vietnam': 'Vietnamu',
+    'vietnamská socialistická republika': 'Vietnamské socialistické republiky'
+};
+
+// ISNSS values meaning the Czech Republic, a stateless person and an unknown nationality (in lower case)
+var CZECH_STATE_NAMES = ['česká republika', 'česko'];
+var STATELESS_NAMES = ['bez státní příslušnosti', 'osoba bez státní příslušnosti', 'bezdomovec', 'apatrida'];
+var UNKNOWN_STATE_NAMES = ['neznámá', 'neznámý', 'neznámý stát', 'nezjištěna', 'nezjištěno', 'neuvedeno'];
+
+/**
+ * Classify a state name from ISNSS.
+ * @param {string} state - The nationality or the registration state.
+ * @returns {string} - "none" (empty), "czech", "stateless", "unknown" or "foreign".
+ */
+function classifyState(state) {
+    const key = (state || '').trim().toLowerCase();
+    if (key === '') return 'none';
+    if (CZECH_STATE_NAMES.includes(key)) return 'czech';
+    if (STATELESS_NAMES.includes(key)) return 'stateless';
+    if (UNKNOWN_STATE_NAMES.includes(key)) return 'unknown';
+    return 'foreign';
+}
+
+/**
+ * Check if the genitive of a state is known (needed for the "citizen" style of the nationality).
+ * @param {string} state - The nationality from ISNSS.
+ * @returns {boolean} - Whether the state is in STATE_GENITIVES.
+ */
+function hasStateGenitive(state) {
+    return Boolean(STATE_GENITIVES[(state || '').trim().toLowerCase()]);
+}
+
+/**
+ * Format the nationality of a person or of a group of persons.
+ * @param {string} nationality - The nationality from ISNSS.
+ * @param {string} style - "plain" ("státní příslušnost Ukrajina"), "colon" ("státní příslušnost: Ukrajina")
+ *                         or "citizen" ("státní příslušník Ukrajiny").
+ * @param {string} gender - The gender of the person or the group ('m' or 'f').
+ * @param {boolean} plural - Whether the nationality is shared by a group ("státní příslušníci Ukrajiny").
+ * @returns {string} - The formatted nationality.
+ */
+function formatNationality(nationality, style, gender = 'm', plural = false) {
+    const type = classifyState(nationality);
+    if (type === 'stateless') {
+        return 'bez státní příslušnosti';
+    }
+    if (type === 'unknown') {
+        return 'státní příslušnost nezjištěna';
+    }
+    const name = nationality.trim();
+    const genitive = STATE_GENITIVES[name.toLowerCase()];
+    if (style === 'citizen' && genitive) {
+        // The feminine form is the same in the singular and in the plural
+        const citizen = gender === 'f' ? 'státní příslušnice' : (plural ? 'státní příslušníci' : 'státní příslušník');
+        return `${citizen} ${genitive}`;
+    }
+    // States without a known genitive are named in the nominative even in the "citizen" style
+    return `státní příslušnost${style === 'plain' ? '' : ':'} ${name}`;
+}
+
+/**
+ * Format the state of registration of a legal person.
+ * @param {string} state - The registration state from ISNSS.
+ * @param {string} style - The nationality style (see formatNationality); "colon" and "citizen" add a colon.
+ * @returns {string} - The formatted registration state (e.g. "stát registrace: Slovenská republika").
+ */
+function formatRegistrationState(state, style) {
+    const type = classifyState(state);
+    if (type === 'stateless') {
+        return 'bez státu registrace';
+    }
+    if (type === 'unknown') {
+        return 'stát registrace nezjištěn';
+    }
+    return `stát registrace${style === 'plain' ? '' : ':'} ${state.trim()}`;
+}
@@ -0,0 +1,97 @@
+/**
+ * Header templates of the ISNSS Extractor.
+ *
+ * Shared by the content script (rendering) and the popup (editing).
+ *
+ * Syntax:
+ *   {{name}}               - replaced by the value of the placeholder
+ *   {{#name}}...{{/name}}  - rendered only if the placeholder has a value
+ *   {{^name}}...{{/name}}  - rendered only if the placeholder has no value
+ *
+ * Author: Oldřich Tristan Florian
+ * Website: https://otflorian.com
+ *
+ */
+
+// Declared with var so that the script can be injected repeatedly
+var DEFAULT_HEADER_TEMPLATE = 'v právní věci {{plaintiffs}}, proti {{defendants}}'
+    + '{{#interestedParties}}, za účasti {{interestedParties}}{{/interestedParties}}'
+    + '{{#defendantDecisions}}, {{defendantDecisions}},{{/defendantDecisions}}'
+    + '{{#vRizeni}} v řízení{{/vRizeni}} o kasační stížnosti {{complainants}} proti {{lowerCourtDecision}},';
+
+// Header structures of the NSS agendas other than cassation complaints (the agenda is determined by getAgendaType
+// in content.js). The roles of the plaintiffs and the defendants are given with the grammatical cases of the role label
+// and of the names; cassation complaints use the user's template and the roles from the settings.
+var AGENDA_HEADERS = {
+    measureOfGeneralNature: {
+        template: 'v právní věci {{plaintiffs}}, proti {{defendants}}'
+            + '{{#interestedParties}}, za účasti {{interestedParties}}{{/interestedParties}}'
+            + '{{#defendantDecisions}}, {{defendantDecisions}}{{/defendantDecisions}},',
+        plaintiffs: { role: 'petitioner', labelCase: 2, nameCase: 1 },
+        defendants: { role: 'respondent', labelCase: 3, nameCase: 3 }
+    },
+    competenceDispute: {
+        template: 've věci kompetenčního sporu mezi {{plaintiffs}}, a {{defendants}}'
+            + '{{#interestedParties}}, za účasti {{interestedParties}}{{/interestedParties}},',
+        plaintiffs: { role: 'petitioner', labelCase: 7, nameCase: 7 },
+        defendants: { role: 'respondent', labelCase: 7, nameCase: 7 }
+    },
+    politicalParty: {
+        template: 've věci návrhu {{plaintiffs}}, proti {{defendants}}'
+            + '{{#interestedParties}}, za účasti {{interestedParties}}{{/interestedParties}}'
+            + ', podle zákona o sdružování v politických stranách a v politických hnutích,',
+        plaintiffs: { role: 'petitioner', labelCase: 2, nameCase: 1 },
+        defendants: { role: 'respondent', labelCase: 3, nameCase: 3 }
+    },
+    disciplinary: {
+        template: 've věci kárné žaloby {{plaintiffs}}, proti {{defendants}},',
+        plaintiffs: { role: 'petitioner', labelCase: 2, nameCase: 1 },
+        defendants: { role: 'accused', labelCase: 3, nameCase: 3 }
+    },
+    bias: {
+        template: 'v právní věci {{plaintiffs}}, proti {{defendants}}'
+            + '{{#interestedParties}}, za účasti {{interestedParties}}{{/interestedParties}}'
+            + ', o námitce podjatosti{{#complainants}} {{complainants}}{{/complainants}},',
+        plaintiffs: { role: 'plaintiff', labelCase: 2, nameCase: 1 },
+        defendants: { role: 'defendant', labelCase: 3, nameCase: 3 }
+    },
+    // Agendas which the extractor does not know get only the parties, the subject of the proceedings is left to the user
+    unknown: {
+        template: 'v právní věci {{plaintiffs}}, proti {{defendants}}'
+            + '{{#interestedParties}}, za účasti {{interestedParties}}{{/interestedParties}},',
+        plaintiffs: { role: 'plaintiff', labelCase: 2, nameCase: 1 },
+        defendants: { role: 'defendant', labelCase: 3, nameCase: 3 }
+    }
+};
+
+var HEADER_TEMPLATE_PLACEHOLDERS = {
+    caseNumber: 'spisová značka NSS',
+    plaintiffs: 'žalobci/navrhovatelé včetně označení (např. „žalobce: …“)',
+    defendants: 'žalovaní/odpůrci včetně označení (např. „žalovanému: …“)',
+    interestedParties: 'osoby zúčastněné na řízení včetně označení',
+    defendantDecisions: 'napadená rozhodnutí správních orgánů (např. „proti rozhodnutí žalovaného ze dne …“)',
+    complainants: 'označení stěžovatelů (např. „žalobce a)“)',
+    lowerCourtDecision: 'napadená rozhodnutí krajského soudu (např. „rozsudku Krajského soudu v Brně ze dne …, č. j. …, a usnesení téhož soudu ze dne …“)',
+    vRizeni: 'zda zahrnout „v řízení“'
+};
+
+/**
+ * Render a header template.
+ * @param {string} template - The template text.
+ * @param {object} context - The values of the placeholders.
+ * @returns {string} - The rendered text.
+ */
+function renderTemplate(template, context) {
+    const sectionPattern = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/;
+    let text = template;
+    let match;
+    // Sections are resolved from the first one found, nested sections are resolved in the next passes
+    while ((match = text.match(sectionPattern)) !== null) {
+        const [section, type, name, content] = match;
+        const hasValue = Boolean(context[name]);
+        const rendered = (type === '#') === hasValue ? content : '';
+        text = text.slice(0, match.index) + rendered + text.slice(match.index + section.length);
+    }
+    // Unknown placeholders are kept so that a typo in the template is visible in the output
+    return text.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => name in context ? String(context[name] ?? '') : placeholder);
+}
@@ -0,0 +1,118 @@
+/**
+ * Unit tests of the DOCX export of the ISNSS Extractor (docx.js).
+ *
+ * Checks the non-breaking spaces inserted into the header and the ZIP archive of the document
+ * (read back entry by entry). The DOM part of the export is covered by trying the extension.
+ *
+ * Usage: node test/docx.js
+ *
+ * Author: Oldřich Tristan Florian
+ * Website: https://otflorian.com
+ *
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const NBSP = '\u00A0';
+
+/**
+ * Load docx.js into a separate context, as in the popup.
+ * @returns {object} - The context with the functions of docx.js.
+ */
+function loadDocx() {
+    const context = vm.createContext({ TextEncoder, Blob });
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'docx.js'), 'utf8'), context);
+    return context;
+}
+
+/**
+ * Read the stored entries of a ZIP archive through its central directory.
+ * @param {Uint8Array} zip - The archive.
+ * @returns {array} - The entries ({name, content, crc}).
+ */
+function readZip(zip) {
+    const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+    const end = zip.length - 22;
+    assert.strictEqual(view.getUint32(end, true), 0x06054b50, 'end of central directory');
+    const count = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+    const decoder = new TextDecoder();
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        assert.strictEqual(view.getUint32(position, true), 0x02014b50, 'central directory header');
+        assert.strictEqual(view.getUint16(position + 10, true), 0, 'stored without compression');
+        const crc = view.getUint32(position + 16, true);
+        const size = view.getUint32(position + 20, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const name = decoder.decode(zip.subarray(position + 46, position + 46 + nameLength));
+        const offset = view.getUint32(position + 42, true);
+
+        assert.strictEqual(view.getUint32(offset, true), 0x04034b50, `local header of ${name}`);
+        assert.strictEqual(view.getUint32(offset + 14, true), crc, `local CRC of ${name}`);
+        const dataStart = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+        entries.push({ name, crc, content: zip.subarray(dataStart, dataStart + size) });
+        position += 46 + nameLength;
+    }
+    return entries;
+}
+
+const TESTS = {
+    'nezlomitelné mezery za předložkami a spojkami': (docx) => {
+        assert.strictEqual(
+            docx.applyNonBreakingSpaces('v řízení o kasační stížnosti a k věci s žalobcem'),
+            `v${NBSP}řízení o${NBSP}kasační stížnosti a${NBSP}k${NBSP}věci s${NBSP}žalobcem`
+        );
+    },
+    'nezlomitelné mezery v datech a zkratkách': (docx) => {
+        assert.strictEqual(
+            docx.applyNonBreakingSpaces('ze dne 14. 3. 2025, č. j. 62 A 17/2023-85, sp. zn. OAM-1/2023'),
+            `ze dne 14.${NBSP}3.${NBSP}2025, č.${NBSP}j.${NBSP}62 A${NBSP}17/2023-85, sp.${NBSP}zn.${NBSP}OAM-1/2023`
+        );
+        assert.strictEqual(docx.applyNonBreakingSpaces('čj. 62 Az 17/2023-85'), `čj.${NBSP}62 Az 17/2023-85`);
+    },
+    'nezlomitelné mezery za označením účastníka a tituly': (docx) => {
+        assert.strictEqual(
+            docx.applyNonBreakingSpaces('žalobců: a) Tomáš Dvořák, zast. Mgr. Jan Malý a prof. JUDr. Eva Černá'),
+            `žalobců: a)${NBSP}Tomáš Dvořák, zast. Mgr.${NBSP}Jan Malý a${NBSP}prof.${NBSP}JUDr.${NBSP}Eva Černá`
+        );
+        // A letter with a parenthesis not followed by a name is not a label of a party
+        assert.strictEqual(docx.applyNonBreakingSpaces('žalobců a), b) proti'), 'žalobců a), b) proti');
+    },
+    'délka textu se nemění': (docx) => {
+        const text = 'v právní věci žalobce: a) Petr Horák, bytem Lhota 45, proti rozhodnutí ze dne 5. 2. 2024, č. j. OAM-555';
+        assert.strictEqual(docx.applyNonBreakingSpaces(text).length, text.length);
+    },
+    'CRC-32': (docx) => {
+        assert.strictEqual(docx.crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+        assert.strictEqual(docx.crc32(new Uint8Array(0)), 0);
+    },
+    'archiv ZIP': (docx) => {
+        const files = [
+            { name: '[Content_Types].xml', content: '<Types/>' },
+            { name: 'word/document.xml', content: '<w:t>Žalobkyně Černá</w:t>' }
+        ];
+        const entries = readZip(docx.createZip(files));
+        assert.deepStrictEqual(entries.map(entry => entry.name), files.map(file => file.name));
+        entries.forEach((entry, index) => {
+            assert.strictEqual(new TextDecoder().decode(entry.content), files[index].content);
+            assert.strictEqual(entry.crc, docx.crc32(entry.content));
+        });
+    }
+};
+
+let failed = 0;
+Object.entries(TESTS).forEach(([name, test]) => {
+    try {
+        test(loadDocx());
+        console.log(`ok   ${name}`);
+    } catch (err) {
+        failed++;
+        console.log(`FAIL ${name}`);
+        console.log(`  ${err.message.replace(/\n/g, '\n  ')}`);
+    }
+});
+console.log(`\n${Object.keys(TESTS).length - failed}/${Object.keys(TESTS).length} passed`);
+process.exit(failed > 0 ? 1 : 0);
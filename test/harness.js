@@ -0,0 +1,48 @@
+/**
+ * In-page part of the fixture tests of the ISNSS Extractor.
+ *
+ * Injected by test/server.js into a fixture SVInfo page before the content scripts of the extension.
+ * It stands in for the extension API, sends the extraction message from the "test" URL parameter
+ * to content.js and posts the response back to the server under the "testId" URL parameter.
+ *
+ * Author: Oldřich Tristan Florian
+ * Website: https://otflorian.com
+ *
+ */
+
+(function () {
+    // The ages of the parties are calculated against a fixed date so that the expected headers do not expire
+    const TEST_DATE = new Date(2026, 0, 1).getTime();
+    Date.now = () => TEST_DATE;
+
+    const listeners = [];
+    window.chrome = window.chrome || {};
+    window.chrome.runtime = {
+        onMessage: { addListener: (listener) => listeners.push(listener) },
+        // Progress reports of the batch mode have no receiver in the tests
+        sendMessage: (message, callback) => callback && callback()
+    };
+
+    const postResult = (result) => {
+        fetch('/__test/result', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ id: new URLSearchParams(location.search).get('testId'), ...result })
+        });
+    };
+
+    window.addEventListener('load', () => {
+        if (listeners.length === 0) {
+            postResult({ error: 'content.js did not register a message listener' });
+            return;
+        }
+        let message;
+        try {
+            message = JSON.parse(new URLSearchParams(location.search).get('test'));
+        } catch (err) {
+            postResult({ error: `Invalid test message: ${err}` });
+            return;
+        }
+        listeners[0](message, {}, (response) => postResult({ response }));
+    });
+})();
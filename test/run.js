@@ -0,0 +1,128 @@
+/**
+ * Fixture tests of the ISNSS Extractor.
+ *
+ * Serves the fixtures with test/server.js, opens every case of test/cases.json in a headless Chrome or Edge
+ * (with the host name isnss resolved to the local server) and compares the generated header with the expected one.
+ *
+ * Usage: node test/run.js [case name]
+ * The browser is found automatically or set by the CHROME_PATH environment variable.
+ *
+ * Author: Oldřich Tristan Florian
+ * Website: https://otflorian.com
+ *
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { startServer } = require('./server');
+
+const CASE_TIMEOUT = 30000;
+
+const BROWSER_CANDIDATES = [
+    'google-chrome',
+    'google-chrome-stable',
+    'chromium',
+    'chromium-browser',
+    'microsoft-edge',
+    '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+    '/Applications/Microsoft Edge.app/Contents/MacOS/Microsoft Edge',
+    'C:\\Program Files (x86)\\Microsoft\\Edge\\Application\\msedge.exe',
+    'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe'
+];
+
+/**
+ * Find the browser executable.
+ * @returns {string|null} - The path of the browser or null if none was found.
+ */
+function findBrowser() {
+    if (process.env.CHROME_PATH) {
+        return process.env.CHROME_PATH;
+    }
+    const pathDirs = (process.env.PATH || '').split(path.delimiter);
+    for (const candidate of BROWSER_CANDIDATES) {
+        if (path.isAbsolute(candidate)) {
+            if (fs.existsSync(candidate)) return candidate;
+            continue;
+        }
+        const found = pathDirs.map(dir => path.join(dir, candidate)).find(file => fs.existsSync(file));
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * Run one case in the headless browser.
+ * @param {string} browser - The path of the browser.
+ * @param {object} server - The started fixture server.
+ * @param {string} id - The ID of the test run.
+ * @param {object} testCase - The case from test/cases.json.
+ * @param {object} message - The extraction message sent to content.js.
+ * @returns {Promise<object>} - The result posted by test/harness.js.
+ */
+async function runCase(browser, server, id, testCase, message) {
+    const userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'isnss-extractor-test-'));
+    const url = `http://isnss/main.aspx?cls=SVInfo&pId=${testCase.pId}&testId=${id}&test=${encodeURIComponent(JSON.stringify(message))}`;
+    const child = spawn(browser, [
+        '--headless=new',
+        '--disable-gpu',
+        '--disable-extensions',
+        '--no-first-run',
+        '--no-default-browser-check',
+        `--user-data-dir=${userDataDir}`,
+        `--host-resolver-rules=MAP isnss:80 127.0.0.1:${server.port}`,
+        url
+    ], { stdio: 'ignore' });
+
+    try {
+        return await server.waitForResult(id, CASE_TIMEOUT);
+    } finally {
+        child.kill();
+        await new Promise(resolve => child.exitCode !== null ? resolve() : child.once('exit', resolve));
+        fs.rmSync(userDataDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Run all cases (or the case given on the command line) and report the differences.
+ */
+async function main() {
+    const browser = findBrowser();
+    if (!browser) {
+        console.error('Chrome or Edge not found, set the CHROME_PATH environment variable.');
+        process.exit(2);
+    }
+
+    const suite = JSON.parse(fs.readFileSync(path.join(__dirname, 'cases.json'), 'utf8'));
+    const filter = process.argv[2];
+    const cases = suite.cases.filter(testCase => !filter || testCase.name === filter);
+    const server = await startServer(0);
+
+    let failed = 0;
+    for (const [index, testCase] of cases.entries()) {
+        const message = { ...suite.defaultMessage, ...(testCase.message || {}) };
+        let actual;
+        try {
+            const result = await runCase(browser, server, String(index), testCase, message);
+            actual = result.response && result.response.success ? result.response.text : `ERROR: ${result.error || result.response?.error}`;
+        } catch (err) {
+            actual = `ERROR: ${err.message}`;
+        }
+
+        if (actual === testCase.expected) {
+            console.log(`ok   ${testCase.name}`);
+        } else {
+            failed++;
+            console.log(`FAIL ${testCase.name}`);
+            console.log(`  expected: ${testCase.expected}`);
+            console.log(`  actual:   ${actual}`);
+        }
+    }
+
+    server.server.close();
+    console.log(`\n${cases.length - failed}/${cases.length} passed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
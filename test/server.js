@@ -0,0 +1,119 @@
+/**
+ * Local stand-in for ISNSS serving the anonymised fixture pages.
+ *
+ * The pages are served at the same paths as http://isnss/main.aspx, the file test/fixtures/<cls>_<pId>.html
+ * answers main.aspx?cls=<cls>&pId=<pId>. If the URL has the "test" parameter (the extraction message as JSON),
+ * test/harness.js and the content scripts of the extension are injected into the page and the response of content.js
+ * is posted back to /__test/result under the "testId" parameter.
+ *
+ * Usage: node test/server.js [port]
+ *
+ * Author: Oldřich Tristan Florian
+ * Website: https://otflorian.com
+ *
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Files which may be injected into the fixture pages
+const SCRIPTS = {
+    '/__test/harness.js': path.join(__dirname, 'harness.js'),
+    '/__extension/templates.js': path.join(ROOT_DIR, 'templates.js'),
+    '/__extension/selectors.js': path.join(ROOT_DIR, 'selectors.js'),
+    '/__extension/institutions.js': path.join(ROOT_DIR, 'institutions.js'),
+    '/__extension/states.js': path.join(ROOT_DIR, 'states.js'),
+    '/__extension/content.js': path.join(ROOT_DIR, 'content.js')
+};
+
+/**
+ * Start the server.
+ * @param {number} port - The port to listen on (0 for any free port).
+ * @returns {Promise<object>} - The HTTP server, its port and waitForResult(testId, timeout) resolving with the posted result of a page.
+ */
+function startServer(port = 0) {
+    const results = new Map();
+    const waiting = new Map();
+
+    const server = http.createServer((request, response) => {
+        const url = new URL(request.url, 'http://isnss/');
+
+        if (request.method === 'POST' && url.pathname === '/__test/result') {
+            let body = '';
+            request.on('data', chunk => body += chunk);
+            request.on('end', () => {
+                const result = JSON.parse(body);
+                if (waiting.has(result.id)) {
+                    waiting.get(result.id)(result);
+                    waiting.delete(result.id);
+                } else {
+                    results.set(result.id, result);
+                }
+                response.writeHead(204).end();
+            });
+            return;
+        }
+
+        if (SCRIPTS[url.pathname]) {
+            response.writeHead(200, { 'Content-Type': 'text/javascript; charset=utf-8' });
+            response.end(fs.readFileSync(SCRIPTS[url.pathname]));
+            return;
+        }
+
+        if (url.pathname === '/main.aspx') {
+            const fileName = `${url.searchParams.get('cls')}_${url.searchParams.get('pId')}.html`;
+            const filePath = path.join(FIXTURES_DIR, path.basename(fileName));
+            if (!fs.existsSync(filePath)) {
+                response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+                response.end(`Fixture ${fileName} not found`);
+                return;
+            }
+            let html = fs.readFileSync(filePath, 'utf8');
+            if (url.searchParams.has('test')) {
+                const scripts = Object.keys(SCRIPTS).map(src => `<script src="${src}"></script>`).join('\n');
+                html = html.replace('</body>', `${scripts}\n</body>`);
+            }
+            response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            response.end(html);
+            return;
+        }
+
+        response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        response.end('Not found');
+    });
+
+    const waitForResult = (id, timeout) => new Promise((resolve, reject) => {
+        if (results.has(id)) {
+            resolve(results.get(id));
+            results.delete(id);
+            return;
+        }
+        const timer = setTimeout(() => {
+            waiting.delete(id);
+            reject(new Error(`No result within ${timeout} ms`));
+        }, timeout);
+        waiting.set(id, (result) => {
+            clearTimeout(timer);
+            resolve(result);
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(port, '127.0.0.1', () => {
+            resolve({ server, port: server.address().port, waitForResult });
+        });
+    });
+}
+
+module.exports = { startServer };
+
+if (require.main === module) {
+    const port = Number(process.argv[2]) || 8080;
+    startServer(port).then(({ port }) => {
+        console.log(`Fixtures served at http://127.0.0.1:${port}/main.aspx?cls=SVInfo&pId=1001`);
+    });
+}